@@ -2,6 +2,14 @@
 
 var typeOf = require('kind-of');
 var utils = module.exports;
+var SKIP = Symbol('skip');
+var BREAK = Symbol('break');
+var REMOVE = Symbol('remove');
+var selectorCache = new Map();
+var MAX_SELECTORS = 500;
+var nodeIndexCache = new WeakMap();
+var sourceMaps = new WeakMap();
+var BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
 
 /**
  * Returns true if the given value is a node.
@@ -98,6 +106,209 @@ utils.append = function(value) {
   };
 };
 
+/**
+ * Create a source map for the output of `compiler`. Once created, the
+ * [noop](#noop), [identity](#identity) and [append](#append) methods record
+ * a mapping from the current position in `compiler.output` to the
+ * `position.start` of each node they're called with. Mappings are reset
+ * when `compiler.output` is reset (e.g. when compiling again).
+ *
+ * ```js
+ * var sourceMap = utils.createSourceMap(compiler, {file: 'out.js', source: 'in.txt'});
+ * var res = compiler.compile(ast);
+ * console.log(sourceMap.toJSON());
+ * //=> { version: 3, file: 'out.js', sources: ['in.txt'], names: [], mappings: 'AAAA,CAAC' }
+ * console.log(res.output + '\n' + sourceMap.toComment());
+ * ```
+ * @param {Object} `compiler` Snapdragon compiler instance.
+ * @param {Object} `options` Supports `file` (name of the generated file), `source` (the default source name, used for nodes without `position.source`) and `sourceContent` (content of the default source).
+ * @return {Object} Returns a source map object with `toJSON`, `toString`, `toComment` and `reset` methods.
+ * @api public
+ */
+
+utils.createSourceMap = function(compiler, options) {
+  assert(isObject(compiler), 'expected compiler to be an object');
+  var sourceMap = new SourceMap(compiler, options);
+  sourceMaps.set(compiler, sourceMap);
+  return sourceMap;
+};
+
+/**
+ * Returns a compiler handler that appends `before`, then the compiled
+ * child nodes (or `node.value` when the node has no child nodes), then
+ * `after` to `compiler.output`.
+ *
+ * ```js
+ * snapdragon.compiler.set('paren', utils.wrap('(', ')'));
+ * ```
+ * @param {String} `before`
+ * @param {String} `after` Defaults to `before`.
+ * @return {Function} Returns a compiler middleware function.
+ * @api public
+ */
+
+utils.wrap = function(before, after) {
+  if (after === undefined) after = before;
+  return function(node) {
+    append(this, before, node);
+    if (isArray(node.nodes)) {
+      this.mapVisit(node);
+    } else {
+      append(this, utils.value(node), node);
+    }
+    append(this, after, node);
+  };
+};
+
+/**
+ * Returns a compiler handler that compiles `node.nodes`, appending
+ * `separator` between child nodes. Separators are not added after
+ * `*.open` nodes or before `*.close` nodes.
+ *
+ * ```js
+ * snapdragon.compiler.set('brace', utils.join(','));
+ * ```
+ * @param {String} `separator`
+ * @return {Function} Returns a compiler middleware function.
+ * @api public
+ */
+
+utils.join = function(separator) {
+  return function(node) {
+    var nodes = isArray(node.nodes) ? node.nodes.slice() : [];
+    var first = true;
+    for (var child of nodes) {
+      var inner = !utils.isOpen(child) && !utils.isClose(child);
+      if (inner && !first) {
+        append(this, separator, child);
+      }
+      if (inner) first = false;
+      this.visit(child);
+    }
+  };
+};
+
+/**
+ * Returns a compiler handler that calls `handler` when `predicate`
+ * returns true, or `elseHandler` otherwise. The predicate is called
+ * with the compiler as `this` and the node. Nothing is appended when
+ * `elseHandler` is not given.
+ *
+ * ```js
+ * snapdragon.compiler.set('comma', utils.when(function(node) {
+ *   return !utils.isInside(this.state, node, 'brace');
+ * }, utils.identity, utils.append('|')));
+ * ```
+ * @param {Function} `predicate`
+ * @param {Function} `handler`
+ * @param {Function} `elseHandler`
+ * @return {Function} Returns a compiler middleware function.
+ * @api public
+ */
+
+utils.when = function(predicate, handler, elseHandler) {
+  assert(isFunction(predicate), 'expected predicate to be a function');
+  assert(isFunction(handler), 'expected handler to be a function');
+  var otherwise = elseHandler || utils.noop;
+  assert(isFunction(otherwise), 'expected elseHandler to be a function');
+
+  return function(node) {
+    var fn = predicate.call(this, node) ? handler : otherwise;
+    return fn.apply(this, arguments);
+  };
+};
+
+/**
+ * Returns a compiler handler that appends the value from `table` for
+ * `node.value`, or `node.value` if the table has no entry for it.
+ * Table values may be strings, or functions that are called with the
+ * compiler as `this` and the node, and return a string.
+ *
+ * ```js
+ * snapdragon.compiler.set('escape', utils.map({
+ *   n: '\n',
+ *   t: '\t'
+ * }));
+ * ```
+ * @param {Object} `table`
+ * @return {Function} Returns a compiler middleware function.
+ * @api public
+ */
+
+utils.map = function(table) {
+  assert(isObject(table), 'expected table to be an object');
+  return function(node) {
+    var value = utils.value(node);
+    if (table.hasOwnProperty(value)) {
+      value = table[value];
+      if (isFunction(value)) {
+        value = value.call(this, node);
+      }
+    }
+    append(this, value, node);
+  };
+};
+
+/**
+ * Returns a compiler handler that appends the given `template` string,
+ * after replacing `${name}` placeholders with properties from the node.
+ * `${value}` is replaced with [value](#value), and missing properties
+ * are replaced with an empty string.
+ *
+ * ```js
+ * snapdragon.compiler.set('star', utils.template('[^/]*?${value}'));
+ * ```
+ * @param {String} `template`
+ * @return {Function} Returns a compiler middleware function.
+ * @api public
+ */
+
+utils.template = function(template) {
+  assert(isString(template), 'expected template to be a string');
+  return function(node) {
+    var str = template.replace(/\$\{(\w+)\}/g, function(m, name) {
+      var value = name === 'value' ? utils.value(node) : node[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+    append(this, str, node);
+  };
+};
+
+/**
+ * Render `node` to a string without a compiler instance. Handlers are
+ * called with a renderer as `this`, which has the `emit`, `visit` and
+ * `mapVisit` methods and the `state` and `output` properties used by
+ * handlers on snapdragon compilers, so handlers like [identity](#identity),
+ * [append](#append) and [wrap](#wrap) may be used. Handlers may also return
+ * a string to append. Nodes without a handler are rendered by rendering their
+ * child nodes, or by appending [value](#value). A scope is entered for
+ * `*.open` nodes and exited for `*.close` nodes (see [enterScope](#enterScope)).
+ *
+ * ```js
+ * var str = utils.render(ast, {
+ *   'brace.open': utils.append('('),
+ *   'brace.close': utils.append(')'),
+ *   comma: function(node) {
+ *     return '|';
+ *   }
+ * });
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Object} `handlers` Object of handler functions, keyed by node type.
+ * @return {String}
+ * @api public
+ */
+
+utils.render = function(node, handlers) {
+  expect(node, 'node');
+  if (handlers !== undefined) {
+    assert(isObject(handlers), 'expected handlers to be an object');
+  }
+  var renderer = new Renderer(handlers);
+  renderer.visit(node);
+  return renderer.output;
+};
+
 /**
  * Used in compiler middleware, this onverts an AST node into
  * an empty `text` node and deletes `node.nodes` if it exists.
@@ -125,10 +336,75 @@ utils.toNoop = function(node, nodes) {
   }
 };
 
+/**
+ * Clean up `node` and its descendants in a single pass. By default,
+ * adjacent `text` nodes are merged into one node, and empty `text` nodes
+ * (like the nodes created by [toNoop](#toNoop)) and nodes with only empty
+ * child nodes are removed. Open and close nodes, and blocks that have
+ * them (or nodes that contain such blocks), are never removed. Set
+ * `options.collapseSingleChildBlocks` to also replace nodes that only
+ * have one child node (and no open and close nodes) with their child
+ * node. Positions of merged nodes are merged into the position of the
+ * remaining node.
+ *
+ * ```js
+ * utils.normalize(ast);
+ * utils.normalize(ast, { mergeText: false, collapseSingleChildBlocks: true });
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Object} `options`
+ * @return {Object} Returns the node.
+ * @api public
+ */
+
+utils.normalize = function(node, options) {
+  expect(node, 'node');
+  var opts = Object.assign({
+    mergeText: true,
+    removeEmpty: true,
+    collapseSingleChildBlocks: false
+  }, options);
+
+  utils.visit(node, {
+    leave: function(child) {
+      if (isArray(child.nodes)) {
+        normalizeNodes(child, opts);
+      }
+    }
+  });
+  return node;
+};
+
 /**
  * Visit `node` with the given `fn`. The built-in `.visit` method in snapdragon
  * automatically calls registered compilers, this allows you to pass a visitor
- * function.
+ * function, or a visitor object with `enter` and/or `leave` methods, and/or
+ * methods named after node types (e.g. `{'brace.open': fn}` or
+ * `{brace: {enter, leave}}`).
+ *
+ * Visitor functions are called with the current `node` and a `path` object
+ * with the node's `parent`, `index` in `parent.nodes`, `depth`, `ancestors`,
+ * and `parentPath`, along with `path.replaceWith(node)`, `path.remove()`,
+ * `path.insertBefore(node)` and `path.insertAfter(node)` methods, which keep
+ * traversal in sync when the tree is modified while it's being visited.
+ *
+ * Visitor functions may also return [visit.SKIP](#visit) to skip the children of
+ * the current node, `visit.BREAK` to stop traversal, `visit.REMOVE` to remove
+ * the current node from its parent, or a node to replace the current node.
+ *
+ * Nodes are visited depth-first in pre-order by default. Set `options.order`
+ * to `'post'` to call visitor functions (and `enter` methods) after the
+ * children of a node are visited, `'reverse'` to visit child nodes from
+ * right to left, or `'bfs'` to visit nodes breadth-first, one level at a
+ * time. In breadth-first order, `leave` methods are called right after
+ * `enter`, and nodes inserted during traversal are not visited. In reverse
+ * order, nodes inserted with `path.insertBefore` are visited next, and
+ * nodes inserted with `path.insertAfter` are not visited.
+ *
+ * Traversal does not recurse, so deeply nested trees can't overflow the
+ * call stack. Set `options.maxDepth` to throw a `RangeError` with
+ * `err.code` set to `'max-depth'` when nodes are nested more than
+ * `maxDepth` levels below the node where traversal starts.
  *
  * ```js
  * snapdragon.compiler.set('i', function(node) {
@@ -137,24 +413,52 @@ utils.toNoop = function(node, nodes) {
  *     return childNode;
  *   });
  * });
+ *
+ * utils.visit(ast, {
+ *   enter: function(node) {
+ *     if (node.type === 'comment') return utils.visit.REMOVE;
+ *   },
+ *   brace: {
+ *     leave: function(node, path) {
+ *       // called after all child nodes of "brace" have been visited
+ *       console.log(path.depth, path.index, path.parent.type);
+ *     }
+ *   }
+ * });
  * ```
  * @param {Object} `node` Instance of [snapdragon-node][]
- * @param {Function} `fn`
- * @return {Object} returns the node after recursively visiting all child nodes.
+ * @param {Function|Object} `fn` Visitor function or object.
+ * @param {Object} `options`
+ * @return {Object} returns the node (or the node it was replaced with) after recursively visiting all child nodes.
  * @api public
  */
 
-utils.visit = function(node, fn) {
-  assert(isFunction(fn), 'expected a visitor function');
+utils.visit = function(node, fn, options) {
+  var visitor = createVisitor(fn);
+  var state = createVisitState(options);
   expect(node, 'node');
-  fn(node);
-  return node.nodes ? utils.mapVisit(node, fn) : node;
+  var path = createPath(node);
+  if (state.order === 'bfs') {
+    visitQueue([path], visitor, state);
+  } else {
+    visitPath(path, visitor, state);
+  }
+  return path.node;
 };
 
+/**
+ * Signals that may be returned by visitor functions.
+ */
+
+utils.visit.SKIP = SKIP;
+utils.visit.BREAK = BREAK;
+utils.visit.REMOVE = REMOVE;
+
 /**
  * Map [visit](#visit) the given `fn` over `node.nodes`. This is called by
  * [visit](#visit), use this method if you do not want `fn` to be called on
- * the first node.
+ * the first node. Accepts the same visitor functions, objects and options
+ * as [visit](#visit).
  *
  * ```js
  * snapdragon.compiler.set('i', function(node) {
@@ -165,25 +469,161 @@ utils.visit = function(node, fn) {
  * });
  * ```
  * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Function|Object} `fn` Visitor function or object.
  * @param {Object} `options`
- * @param {Function} `fn`
  * @return {Object} returns the node
  * @api public
  */
 
-utils.mapVisit = function(node, fn) {
-  assert(isFunction(fn), 'expected a visitor function');
+utils.mapVisit = function(node, fn, options) {
+  var visitor = createVisitor(fn);
+  var state = createVisitState(options);
   expect(node, 'node');
   assert(isArray(node.nodes), 'expected node.nodes to be an array');
-
-  for (var i = 0; i < node.nodes.length; i++) {
-    utils.visit(node.nodes[i], fn);
+  var path = createPath(node);
+  if (state.order === 'bfs') {
+    visitQueue(childPaths(path, state), visitor, state);
+  } else {
+    visitNodes(path, visitor, state);
   }
   return node;
 };
 
 /**
- * Unshift an `*.open` node onto `node.nodes`.
+ * Asynchronously visit `node` with the given `fn`. Accepts the same
+ * visitor functions and objects as [visit](#visit), which may return
+ * promises for signals or replacement nodes. Returns a promise for the
+ * node (or the node it was replaced with) after all child nodes are
+ * visited.
+ *
+ * Nodes are visited in depth-first pre-order, and other values of
+ * `options.order` are rejected. By default, each visitor function is
+ * awaited before the next one is called. Set `options.concurrency` to
+ * start the `enter` visitors of following sibling nodes early, with no
+ * more than that many visitors running at once across the whole tree.
+ * Signals and replacement nodes are still applied in order, and results
+ * for nodes after a `visit.BREAK` are ignored.
+ * Like [visit](#visit), `options.maxDepth` may be used to limit nesting.
+ *
+ * ```js
+ * utils.visitAsync(ast, function(node) {
+ *   if (node.type === 'include') {
+ *     return readFile(node.value).then(function(contents) {
+ *       return new Node({ type: 'text', value: contents });
+ *     });
+ *   }
+ * }, { concurrency: 4 })
+ *   .then(function(ast) {
+ *     // do stuff with "ast"
+ *   });
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Function|Object} `fn` Visitor function or object.
+ * @param {Object} `options`
+ * @return {Promise} Rejected if any of the arguments are invalid.
+ * @api public
+ */
+
+utils.visitAsync = function(node, fn, options) {
+  var path;
+  return Promise.resolve()
+    .then(function() {
+      var visitor = createVisitor(fn, callVisitorAsync);
+      var opts = Object.assign({ concurrency: 1, maxDepth: Infinity, order: 'pre' }, options);
+      assert(opts.concurrency >= 1, 'expected options.concurrency to be a number greater than 0');
+      assert(opts.order === 'pre', 'expected options.order to be "pre"');
+      var state = createVisitState({ maxDepth: opts.maxDepth });
+      state.concurrency = opts.concurrency;
+      state.prefetching = 0;
+      state.stopped = false;
+      expect(node, 'node');
+
+      path = createPath(node);
+      return visitPathAsync(path, visitor.enter(path), visitor, state);
+    })
+    .then(function() {
+      return path.node;
+    });
+};
+
+/**
+ * Returns an iterator of `{node, parent, depth}` entries for `node` and
+ * its descendants, which are visited lazily, so that iteration may be
+ * stopped early with `break`. Set `options.order` to `'pre'` (default),
+ * `'post'`, `'bfs'` or `'reverse'` (see [visit](#visit)), and
+ * `options.filter` to any [matcher](#matcher) spec to only yield
+ * matching nodes. `depth` is relative to the node where iteration
+ * starts. Like [visit](#visit), `options.maxDepth` may be used to limit
+ * nesting.
+ *
+ * ```js
+ * for (var entry of utils.walk(ast, { filter: 'brace' })) {
+ *   console.log(entry.node.type, entry.parent.type, entry.depth);
+ *   if (entry.depth > 2) break;
+ * }
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Object} `options`
+ * @return {Iterator}
+ * @api public
+ */
+
+utils.walk = function(node, options) {
+  expect(node, 'node');
+  var opts = Object.assign({}, options);
+  var state = createVisitState(opts);
+  var filter = createFilter(opts.filter);
+  return filterEntries(walkEntries(node, state), function(entry) {
+    return filter(entry.node);
+  });
+};
+
+/**
+ * Returns an iterator of the descendants of `node`, in depth-first
+ * pre-order. `node` itself is not included.
+ *
+ * ```js
+ * for (var child of utils.descendants(brace)) {
+ *   // do stuff with "child"
+ * }
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Iterator}
+ * @api public
+ */
+
+utils.descendants = function(node) {
+  expect(node, 'node');
+  return mapEntries(filterEntries(walkEntries(node, createVisitState()), function(entry) {
+    return entry.depth > 0;
+  }));
+};
+
+/**
+ * Returns an iterator of `node` and its descendants that match the given
+ * `type`, in depth-first pre-order. Accepts any type supported by
+ * [isType](#isType).
+ *
+ * ```js
+ * var braces = Array.from(utils.filterNodes(ast, ['brace', /^paren/]));
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {String|RegExp|Function|Array|Object} `type`
+ * @return {Iterator}
+ * @api public
+ */
+
+utils.filterNodes = function(node, type) {
+  expect(node, 'node');
+  var match = utils.matcher(type);
+  return mapEntries(filterEntries(walkEntries(node, createVisitState()), function(entry) {
+    return match(entry.node);
+  }));
+};
+
+/**
+ * Unshift an `*.open` node onto `node.nodes`. The `position` of the
+ * created node starts where `node` (or its first child node) starts.
  *
  * ```js
  * var Node = require('snapdragon-node');
@@ -221,6 +661,11 @@ utils.addOpen = function(node, Node, value, filter) {
 
   if (typeof filter === 'function' && !filter(node)) return;
   var open = new Node({ type: node.type + '.open', value: value});
+  var start = startOf(node) || startOf(utils.findNode(node.nodes, 0));
+  if (start && !open.position) {
+    define(open, 'position', createPosition(start, advance(start, value)));
+  }
+
   var unshift = node.unshift || node.unshiftNode;
   if (typeof unshift === 'function') {
     unshift.call(node, open);
@@ -231,7 +676,8 @@ utils.addOpen = function(node, Node, value, filter) {
 };
 
 /**
- * Push a `*.close` node onto `node.nodes`.
+ * Push a `*.close` node onto `node.nodes`. The `position` of the
+ * created node ends where `node` (or its last child node) ends.
  *
  * ```js
  * var Node = require('snapdragon-node');
@@ -271,6 +717,16 @@ utils.addClose = function(node, Node, value, filter) {
 
   if (typeof filter === 'function' && !filter(node)) return;
   var close = new Node({ type: node.type + '.close', value: value});
+  var end = endOf(node);
+  var last = endOf(utils.lastNode(node));
+  if (!close.position) {
+    if (last && (!end || comparePoints(last, end) >= 0)) {
+      define(close, 'position', createPosition(last, advance(last, value)));
+    } else if (end) {
+      define(close, 'position', createPosition(retreat(end, value), end));
+    }
+  }
+
   var push = node.push || node.pushNode;
   if (typeof push === 'function') {
     push.call(node, close);
@@ -299,6 +755,108 @@ utils.wrapNodes = function(node, Node, filter) {
   return node;
 };
 
+/**
+ * Get the source range covered by `node` and its child nodes, from the
+ * earliest `position.start` to the latest `position.end`.
+ *
+ * ```js
+ * var range = utils.getRange(brace);
+ * console.log(range);
+ * //=> { start: { line: 1, column: 1 }, end: { line: 1, column: 8 } }
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Object|null} Returns an object with `start` and `end` points, or null if no nodes have a position.
+ * @api public
+ */
+
+utils.getRange = function(node) {
+  expect(node, 'node');
+  var start = null;
+  var end = null;
+
+  utils.visit(node, function(child) {
+    var childStart = startOf(child);
+    var childEnd = endOf(child);
+    if (childStart && (!start || comparePoints(childStart, start) < 0)) {
+      start = childStart;
+    }
+    if (childEnd && (!end || comparePoints(childEnd, end) > 0)) {
+      end = childEnd;
+    }
+  });
+
+  return start && end ? createPosition(start, end) : null;
+};
+
+/**
+ * Get the deepest node in `node` whose `position` contains the given
+ * `offset`, along with its ancestors. A node contains the offset when
+ * `position.start.offset <= offset < position.end.offset`, so only nodes
+ * with offsets are considered. An error is thrown when the tree has
+ * positions but none of them have offsets (snapdragon's `Parser#position`
+ * only records lines and columns), use [nodeAtPosition](#nodeAtPosition)
+ * for those trees. An index of node ranges is created the first
+ * time a tree is searched and cached for subsequent lookups on the same
+ * tree, call [clearNodeIndex](#clearNodeIndex) after modifying the tree.
+ *
+ * ```js
+ * var res = utils.nodeAt(ast, 5);
+ * console.log(res.node.type); //=> 'text'
+ * console.log(res.ancestors.map(node => node.type)); //=> ['root', 'brace']
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Number} `offset`
+ * @return {Object|null} Returns an object with `node` and `ancestors` (from `node` to the parent of the matching node), or null if no node contains the offset.
+ * @api public
+ */
+
+utils.nodeAt = function(node, offset) {
+  expect(node, 'node');
+  assert(typeof offset === 'number', 'expected offset to be a number');
+  return findInIndex(getNodeIndex(node, 'offset'), offset);
+};
+
+/**
+ * Get the deepest node in `node` whose `position` contains the given
+ * `line` and `column`, along with its ancestors. Works the same way
+ * as [nodeAt](#nodeAt), but compares lines and columns.
+ *
+ * ```js
+ * var res = utils.nodeAtPosition(ast, {line: 1, column: 6});
+ * console.log(res.node.type); //=> 'text'
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Object} `position` Object with `line` and `column` numbers.
+ * @return {Object|null} Returns an object with `node` and `ancestors`, or null if no node contains the position.
+ * @api public
+ */
+
+utils.nodeAtPosition = function(node, position) {
+  expect(node, 'node');
+  assert(isObject(position), 'expected position to be an object');
+  assert(typeof position.line === 'number', 'expected position.line to be a number');
+  assert(typeof position.column === 'number', 'expected position.column to be a number');
+  return findInIndex(getNodeIndex(node, 'line'), position);
+};
+
+/**
+ * Remove the cached index used by [nodeAt](#nodeAt) and
+ * [nodeAtPosition](#nodeAtPosition) for the given `node`. Call this
+ * after nodes or positions in the tree are changed.
+ *
+ * ```js
+ * utils.nodeAt(ast, 5);
+ * utils.pushNode(ast, node);
+ * utils.clearNodeIndex(ast);
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @api public
+ */
+
+utils.clearNodeIndex = function(node) {
+  nodeIndexCache.delete(node);
+};
+
 /**
  * Push the given `node` onto `parent.nodes`, and set `parent` as `node.parent.
  *
@@ -449,655 +1007,3821 @@ utils.removeNode = function(parent, node) {
 };
 
 /**
- * Returns true if `node.type` matches the given `type`. Throws a
- * `TypeError` if `node` is not an instance of `Node`.
+ * Replace `node` with `replacement` in `parent.nodes`, and set `parent`
+ * as `replacement.parent`.
  *
  * ```js
- * var Node = require('snapdragon-node');
- * var node = new Node({type: 'foo'});
- * console.log(utils.isType(node, 'foo')); // false
- * console.log(utils.isType(node, 'bar')); // true
+ * var parent = new Node({type: 'abc'});
+ * var foo = new Node({type: 'foo'});
+ * var bar = new Node({type: 'bar'});
+ * utils.pushNode(parent, foo);
+ * utils.replaceNode(parent, foo, bar);
+ * console.log(parent.nodes[0].type); //=> 'bar'
+ * console.log(bar.parent.type); //=> 'abc'
  * ```
- * @param {Object} `node` Instance of [snapdragon-node][]
- * @param {String} `type`
- * @return {Boolean}
+ * @param {Object} `parent`
+ * @param {Object} `node` The node to replace.
+ * @param {Object} `replacement` Instance of [snapdragon-node][]
+ * @return {Object|undefined} Returns the replacement node, if successful, or undefined if `node` does not exist on `parent.nodes`.
  * @api public
  */
 
-utils.isType = function(node, type) {
-  if (!utils.isNode(node)) return false;
-  switch (typeOf(type)) {
-    case 'string':
-      return node.type === type;
-    case 'regexp':
-      return type.test(node.type);
-    case 'array':
-      for (const key of type.slice()) {
-        if (utils.isType(node, key)) {
-          return true;
-        }
-      }
-      return false;
-    default: {
-      throw new TypeError('expected "type" to be an array, string or regexp');
-    }
+utils.replaceNode = function(parent, node, replacement) {
+  assert(utils.isNode(parent), 'expected parent to be an instance of Node');
+  expect(replacement, 'replacement');
+  if (!parent.nodes) return;
+  if (!node) return;
+
+  if (utils.hasNode(parent, node)) {
+    inheritPosition(replacement, startOf(node), endOf(node));
+  }
+
+  if (typeof parent.replace === 'function') {
+    return parent.replace(node, replacement);
+  }
+
+  var idx = parent.nodes.indexOf(node);
+  if (idx !== -1) {
+    defineParent(replacement, parent);
+    parent.nodes[idx] = replacement;
+    return replacement;
   }
 };
 
 /**
- * Returns true if the given `node` has the given `type` in `node.nodes`.
- * Throws a `TypeError` if `node` is not an instance of `Node`.
+ * Insert `node` into `parent.nodes` before the given `sibling`, and set
+ * `parent` as `node.parent`.
  *
  * ```js
- * var Node = require('snapdragon-node');
- * var node = new Node({
- *   type: 'foo',
- *   nodes: [
- *     new Node({type: 'bar'}),
- *     new Node({type: 'baz'})
- *   ]
- * });
- * console.log(utils.hasType(node, 'xyz')); // false
- * console.log(utils.hasType(node, 'baz')); // true
+ * var parent = new Node({type: 'abc'});
+ * var foo = new Node({type: 'foo'});
+ * var bar = new Node({type: 'bar'});
+ * utils.pushNode(parent, foo);
+ * utils.insertBefore(parent, bar, foo);
+ * console.log(parent.nodes.map(node => node.type)); //=> ['bar', 'foo']
  * ```
- * @param {Object} `node` Instance of [snapdragon-node][]
- * @param {String} `type`
- * @return {Boolean}
+ * @param {Object} `parent`
+ * @param {Object} `node` Instance of [snapdragon-node][] to insert.
+ * @param {Object} `sibling` Existing node in `parent.nodes`.
+ * @return {Object|undefined} Returns the inserted node, if successful, or undefined if `sibling` does not exist on `parent.nodes`.
  * @api public
  */
 
-utils.hasType = function(node, type) {
-  if (!utils.isNode(node)) return false;
-  if (!Array.isArray(node.nodes)) return false;
-  for (const child of node.nodes) {
-    if (utils.isType(child, type)) {
-      return true;
-    }
+utils.insertBefore = function(parent, node, sibling) {
+  assert(utils.isNode(parent), 'expected parent to be an instance of Node');
+  expect(node, 'node');
+  if (utils.hasNode(parent, sibling)) {
+    inheritPosition(node, startOf(sibling));
   }
-  return false;
+
+  if (typeof parent.insertBefore === 'function') {
+    return parent.insertBefore(node, sibling);
+  }
+  return insertNode(parent, node, sibling, 0);
 };
 
 /**
- * Returns the first node from `node.nodes` of the given `type`
+ * Insert `node` into `parent.nodes` after the given `sibling`, and set
+ * `parent` as `node.parent`.
  *
  * ```js
- * var node = new Node({
- *   type: 'foo',
- *   nodes: [
- *     new Node({type: 'text', value: 'abc'}),
- *     new Node({type: 'text', value: 'xyz'})
- *   ]
- * });
- *
- * var textNode = utils.firstOfType(node.nodes, 'text');
- * console.log(textNode.value);
- * //=> 'abc'
+ * var parent = new Node({type: 'abc'});
+ * var foo = new Node({type: 'foo'});
+ * var bar = new Node({type: 'bar'});
+ * utils.pushNode(parent, foo);
+ * utils.insertAfter(parent, bar, foo);
+ * console.log(parent.nodes.map(node => node.type)); //=> ['foo', 'bar']
  * ```
- * @param {Array} `nodes`
- * @param {String} `type`
- * @return {Object|undefined} Returns the first matching node or undefined.
+ * @param {Object} `parent`
+ * @param {Object} `node` Instance of [snapdragon-node][] to insert.
+ * @param {Object} `sibling` Existing node in `parent.nodes`.
+ * @return {Object|undefined} Returns the inserted node, if successful, or undefined if `sibling` does not exist on `parent.nodes`.
  * @api public
  */
 
-utils.firstOfType = function(nodes, type) {
-  for (const node of nodes) {
-    if (utils.isType(node, type)) {
-      return node;
-    }
+utils.insertAfter = function(parent, node, sibling) {
+  assert(utils.isNode(parent), 'expected parent to be an instance of Node');
+  expect(node, 'node');
+  if (utils.hasNode(parent, sibling)) {
+    inheritPosition(node, endOf(sibling));
+  }
+
+  if (typeof parent.insertAfter === 'function') {
+    return parent.insertAfter(node, sibling);
   }
+  return insertNode(parent, node, sibling, 1);
 };
 
 /**
- * Returns the node at the specified index, or the first node of the
- * given `type` from `node.nodes`.
+ * Remove `node` from `parent.nodes` and replace it with its child nodes,
+ * excluding the `*.open` and `*.close` nodes. Each child node gets
+ * `parent` as `child.parent`.
  *
  * ```js
- * var node = new Node({
- *   type: 'foo',
- *   nodes: [
- *     new Node({type: 'text', value: 'abc'}),
- *     new Node({type: 'text', value: 'xyz'})
- *   ]
- * });
- *
- * var nodeOne = utils.findNode(node.nodes, 'text');
- * console.log(nodeOne.value);
- * //=> 'abc'
- *
- * var nodeTwo = utils.findNode(node.nodes, 1);
- * console.log(nodeTwo.value);
- * //=> 'xyz'
+ * // given "brace" with nodes: [brace.open, text, brace.close]
+ * utils.unwrapNode(parent, brace);
+ * console.log(parent.nodes[0].type); //=> 'text'
  * ```
- *
- * @param {Array} `nodes`
- * @param {String|Number} `type` Node type or index.
- * @return {Object} Returns a node or undefined.
+ * @param {Object} `parent`
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Array|undefined} Returns the hoisted child nodes, if successful, or undefined if `node` does not exist on `parent.nodes`.
  * @api public
  */
 
-utils.findNode = function(nodes, type) {
-  if (!Array.isArray(nodes)) return null;
-  if (typeof type === 'number') return nodes[type];
-  return utils.firstOfType(nodes, type);
+utils.unwrapNode = function(parent, node) {
+  assert(utils.isNode(parent), 'expected parent to be an instance of Node');
+  if (!parent.nodes) return;
+  if (!utils.isNode(node)) return;
+
+  var idx = parent.nodes.indexOf(node);
+  if (idx === -1) return;
+
+  var nodes = node.nodes ? node.nodes.slice() : [];
+  if (nodes.length && utils.hasOpen(node)) nodes.shift();
+  if (nodes.length && utils.hasClose(node)) nodes.pop();
+
+  utils.spliceNodes.apply(null, [parent, idx, 1].concat(nodes));
+  return nodes;
 };
 
 /**
- * Returns true if the given node is an "*.open" node.
+ * Remove and/or insert nodes in `parent.nodes`, with the same signature
+ * as `Array.prototype.splice`. Sets `parent` as the `parent` of each
+ * inserted node.
  *
  * ```js
- * var Node = require('snapdragon-node');
- * var brace = new Node({type: 'brace'});
- * var open = new Node({type: 'brace.open'});
- * var close = new Node({type: 'brace.close'});
- *
- * console.log(utils.isOpen(brace)); // false
- * console.log(utils.isOpen(open)); // true
- * console.log(utils.isOpen(close)); // false
+ * var parent = new Node({type: 'abc'});
+ * utils.pushNode(parent, new Node({type: 'foo'}));
+ * utils.pushNode(parent, new Node({type: 'bar'}));
+ * utils.spliceNodes(parent, 1, 1, new Node({type: 'baz'}), new Node({type: 'qux'}));
+ * console.log(parent.nodes.map(node => node.type)); //=> ['foo', 'baz', 'qux']
  * ```
- * @param {Object} `node` Instance of [snapdragon-node][]
- * @return {Boolean}
+ * @param {Object} `parent`
+ * @param {Number} `start` Index at which to start changing `parent.nodes`.
+ * @param {Number} `deleteCount` The number of nodes to remove.
+ * @param {Object} `nodes...` Nodes to insert.
+ * @return {Array} Returns an array of the removed nodes.
  * @api public
  */
 
-utils.isOpen = function(node) {
-  if (!node) return false;
-  if (node.parent && typeof node.parent.isOpen === 'function') {
-    return node.parent.isOpen(node);
+utils.spliceNodes = function(parent, start, deleteCount) {
+  assert(utils.isNode(parent), 'expected parent to be an instance of Node');
+  var nodes = [].slice.call(arguments, 3);
+  nodes.forEach(function(node) {
+    expect(node, 'node');
+  });
+
+  var siblings = parent.nodes || [];
+  var idx = start < 0 ? Math.max(siblings.length + start, 0) : Math.min(start, siblings.length);
+  var anchor = endOf(siblings[idx - 1]) || startOf(siblings[idx]) || startOf(parent);
+  nodes.forEach(function(node) {
+    inheritPosition(node, anchor);
+  });
+
+  if (typeof parent.splice === 'function') {
+    return parent.splice.apply(parent, [].slice.call(arguments, 1));
   }
-  if (node && typeof node.isOpen === 'function') {
-    return node.isOpen(node);
+
+  parent.nodes = parent.nodes || [];
+  if (arguments.length < 3) {
+    deleteCount = parent.nodes.length;
   }
-  return node.type ? node.type.slice(-5) === '.open' : false;
+
+  nodes.forEach(function(node) {
+    defineParent(node, parent);
+  });
+  return parent.nodes.splice.apply(parent.nodes, [start, deleteCount].concat(nodes));
 };
 
 /**
- * Returns true if the given node is a "*.close" node.
+ * Create a copy of `node`. Child nodes are recursively cloned unless
+ * `options.deep` is false, and each cloned child gets the clone of its
+ * parent as `child.parent`. Enumerable properties are copied (plain objects
+ * and arrays are cloned), along with `node.position`, and clones are created
+ * with `options.Node` or the constructor of the given node.
  *
  * ```js
- * var Node = require('snapdragon-node');
- * var brace = new Node({type: 'brace'});
- * var open = new Node({type: 'brace.open'});
- * var close = new Node({type: 'brace.close'});
+ * var copy = utils.cloneNode(ast);
+ * console.log(copy.nodes[0].parent === copy); //=> true
+ * console.log(utils.isEqual(copy, ast)); //=> true
  *
- * console.log(utils.isClose(brace)); // false
- * console.log(utils.isClose(open)); // false
- * console.log(utils.isClose(close)); // true
+ * // shallow clone, without child nodes
+ * var brace = utils.cloneNode(node, {deep: false, Node: Node});
  * ```
  * @param {Object} `node` Instance of [snapdragon-node][]
- * @return {Boolean}
+ * @param {Object} `options` Supports `deep` (default `true`) and `Node`.
+ * @return {Object} Returns the cloned node.
  * @api public
  */
 
-utils.isClose = function(node) {
-  if (!node) return false;
-  if (node.parent && typeof node.parent.isClose === 'function') {
-    return node.parent.isClose(node);
+utils.cloneNode = function(node, options) {
+  expect(node, 'node');
+  var opts = Object.assign({ deep: true }, options);
+  if (opts.Node) {
+    assert(isFunction(opts.Node), 'expected Node to be a constructor function');
   }
-  if (node && typeof node.isClose === 'function') {
-    return node.isClose(node);
+
+  if (opts.deep === false) {
+    var clone = cloneShallow(node, opts);
+    if (isArray(node.nodes)) {
+      clone.nodes = [];
+    }
+    return clone;
   }
-  return node.type ? node.type.slice(-6) === '.close' : false;
+
+  return copyTree(node, function(child, parent) {
+    expect(child, 'node');
+    var copy = cloneShallow(child, opts);
+    if (parent) defineParent(copy, parent);
+    return copy;
+  });
 };
 
 /**
- * Returns true if the given node is an "*.open" node.
+ * Returns true if nodes `a` and `b` are structurally equal, meaning
+ * they have the same enumerable properties and positions, and their
+ * child nodes are also equal. The `parent` property and functions are
+ * not compared.
  *
  * ```js
- * var Node = require('snapdragon-node');
- * var brace = new Node({type: 'brace'});
- * var open = new Node({type: 'brace.open', value: '{'});
- * var inner = new Node({type: 'text', value: 'a,b,c'});
- * var close = new Node({type: 'brace.close', value: '}'});
- * brace.push(open);
- * brace.push(inner);
- * brace.push(close);
- *
- * console.log(utils.isBlock(brace)); // true
+ * var a = new Node({type: 'text', value: 'foo', position: {}});
+ * var b = new Node({type: 'text', value: 'foo'});
+ * console.log(utils.isEqual(a, b)); //=> false
+ * console.log(utils.isEqual(a, b, {ignore: ['position']})); //=> true
  * ```
- * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Object} `a` Instance of [snapdragon-node][]
+ * @param {Object} `b` Instance of [snapdragon-node][]
+ * @param {Object} `options` Pass an array of property names on `options.ignore` to exclude them from the comparison.
  * @return {Boolean}
  * @api public
  */
 
-utils.isBlock = function(node) {
-  if (!node || !utils.isNode(node)) return false;
-  if (!Array.isArray(node.nodes)) {
-    return false;
-  }
-  if (node.parent && typeof node.parent.isBlock === 'function') {
-    return node.parent.isBlock(node);
-  }
-  if (typeof node.isBlock === 'function') {
-    return node.isBlock(node);
-  }
-  return utils.hasOpenAndClose(node);
+utils.isEqual = function(a, b, options) {
+  var ignore = utils.arrayify(options && options.ignore).concat('parent');
+  return isEqualValue(a, b, ignore);
 };
 
 /**
- * Returns true if `parent.nodes` has the given `node`.
+ * Compare node `a` to node `b` and return a list of operations that turn
+ * `a` into `b` when applied with [patch](#patch). Child nodes are matched
+ * by `node.type`, and values are compared with [value](#value). A node is
+ * replaced when its type differs. Since a missing `nodes` array is not
+ * treated like `[]`, a node is also replaced when only `a` has a `nodes`
+ * array, or when `b` has an empty `nodes` array and `a` has none. Each
+ * operation has an `op` (`insert`, `remove`, `replace` or `update`) and
+ * a `path`, which is an array of indices into `node.nodes`, starting from
+ * the root node. Insert and replace operations have a `node`, and update
+ * operations have a `value`. Paths refer to the tree as it is when the
+ * operation is applied, after applying the previous operations.
  *
  * ```js
- * const foo = new Node({type: 'foo'});
- * const bar = new Node({type: 'bar'});
- * cosole.log(util.hasNode(foo, bar)); // false
- * foo.push(bar);
- * cosole.log(util.hasNode(foo, bar)); // true
+ * var ops = utils.diff(before, after);
+ * //=> [{ op: 'update', path: [1, 0], value: 'b' }, { op: 'insert', path: [2], node: ... }]
  * ```
- * @param {String} `type`
- * @return {Boolean}
+ * @param {Object} `a` Instance of [snapdragon-node][]
+ * @param {Object} `b` Instance of [snapdragon-node][]
+ * @return {Array} Returns an array of operations.
  * @api public
  */
 
-utils.hasNode = function(node, child) {
-  if (!utils.isNode(node)) return false;
-  if (typeof node.has === 'function') {
-    return node.has(child);
-  }
-  if (node.nodes) {
-    return node.nodes.indexOf(child) !== -1;
-  }
-  return false;
+utils.diff = function(a, b) {
+  expect(a, 'a');
+  expect(b, 'b');
+  var ops = [];
+  diffNodes(a, b, ops);
+  return ops;
 };
 
 /**
- * Returns true if `node.nodes` **has** an `.open` node
+ * Apply operations created by [diff](#diff) to `node`. Nodes are cloned
+ * with [cloneNode](#cloneNode) before they're inserted, so the same
+ * operations may be applied to more than one tree.
  *
  * ```js
- * var Node = require('snapdragon-node');
- * var brace = new Node({
- *   type: 'brace',
- *   nodes: []
- * });
- *
- * var open = new Node({type: 'brace.open'});
- * console.log(utils.hasOpen(brace)); // false
- *
- * brace.pushNode(open);
- * console.log(utils.hasOpen(brace)); // true
+ * var ops = utils.diff(before, after);
+ * var ast = utils.patch(before, ops);
+ * console.log(utils.isEqual(ast, after)); //=> true
  * ```
  * @param {Object} `node` Instance of [snapdragon-node][]
- * @return {Boolean}
+ * @param {Array} `ops`
+ * @return {Object} Returns the patched node, or the new root node when the root node is replaced.
  * @api public
  */
 
-utils.hasOpen = function(node) {
-  assert(utils.isNode(node), 'expected node to be an instance of Node');
-  var first = node.first || node.nodes ? node.nodes[0] : null;
-  if (!utils.isNode(first)) return false;
-  if (node.isOpen === 'function') {
-    return node.isOpen(first);
+utils.patch = function(node, ops) {
+  expect(node, 'node');
+  assert(isArray(ops), 'expected ops to be an array');
+  var root = node;
+
+  for (var op of ops) {
+    assert(isObject(op) && isArray(op.path), 'expected ops to have a "path" array');
+    var path = op.path;
+
+    if (path.length === 0) {
+      if (op.op === 'replace') {
+        root = utils.cloneNode(op.node);
+      } else if (op.op === 'update') {
+        setValue(root, op.value);
+      } else {
+        throw new Error('cannot ' + op.op + ' the root node');
+      }
+      continue;
+    }
+
+    var parent = resolvePath(root, path);
+    var idx = path[path.length - 1];
+    var child = parent.nodes ? parent.nodes[idx] : null;
+
+    switch (op.op) {
+      case 'insert':
+        utils.spliceNodes(parent, idx, 0, utils.cloneNode(op.node));
+        break;
+      case 'remove':
+        assert(child, 'expected a node at path [' + path + ']');
+        utils.spliceNodes(parent, idx, 1);
+        break;
+      case 'replace':
+        assert(child, 'expected a node at path [' + path + ']');
+        utils.replaceNode(parent, child, utils.cloneNode(op.node));
+        break;
+      case 'update':
+        assert(child, 'expected a node at path [' + path + ']');
+        setValue(child, op.value);
+        break;
+      default: {
+        throw new Error('unsupported patch operation "' + op.op + '"');
+      }
+    }
   }
-  return first.type === node.type + '.open';
+  return root;
 };
 
 /**
- * Returns true if `node.nodes` **has** a `.close` node
+ * Convert `node` and its child nodes to a plain object that can be
+ * serialized with `JSON.stringify`. Circular `parent` references and
+ * functions are omitted, and non-enumerable `node.position` is included.
+ * Use [fromJSON](#fromJSON) to revive the AST.
  *
  * ```js
- * var Node = require('snapdragon-node');
- * var brace = new Node({
- *   type: 'brace',
- *   nodes: []
- * });
- *
- * var close = new Node({type: 'brace.close'});
- * console.log(utils.hasClose(brace)); // false
- *
- * brace.pushNode(close);
- * console.log(utils.hasClose(brace)); // true
+ * var json = JSON.stringify(utils.toJSON(ast));
+ * fs.writeFileSync('ast.json', json);
  * ```
  * @param {Object} `node` Instance of [snapdragon-node][]
- * @return {Boolean}
+ * @return {Object}
  * @api public
  */
 
-utils.hasClose = function(node) {
-  assert(utils.isNode(node), 'expected node to be an instance of Node');
-  var last = node.last || node.nodes ? node.nodes[node.nodes.length - 1] : null;
-  if (!utils.isNode(last)) return false;
-  if (typeof node.isClose === 'function') {
-    return node.isClose(last);
-  }
-  return last.type === node.type + '.close';
+utils.toJSON = function(node) {
+  expect(node, 'node');
+  return copyTree(node, function(child) {
+    expect(child, 'node');
+    var obj = {};
+
+    for (var key of Object.keys(child)) {
+      if (key === 'nodes' || key === 'parent' || key === 'isNode') continue;
+      if (isFunction(child[key])) continue;
+      obj[key] = cloneValue(child[key]);
+    }
+
+    if (child.position && !obj.hasOwnProperty('position')) {
+      obj.position = cloneValue(child.position);
+    }
+    return obj;
+  });
 };
 
 /**
- * Returns true if `node.nodes` has both `.open` and `.close` nodes
+ * Create an AST from a JSON string or plain object created by
+ * [toJSON](#toJSON), using the given `Node` constructor to create
+ * nodes. Each child node gets its parent as `node.parent`, and
+ * `node.position` is defined as a non-enumerable property.
  *
  * ```js
  * var Node = require('snapdragon-node');
- * var brace = new Node({
- *   type: 'brace',
- *   nodes: []
- * });
- *
- * var open = new Node({type: 'brace.open'});
- * var close = new Node({type: 'brace.close'});
- * console.log(utils.hasOpen(brace)); // false
- * console.log(utils.hasClose(brace)); // false
- *
- * brace.pushNode(open);
- * brace.pushNode(close);
- * console.log(utils.hasOpen(brace)); // true
- * console.log(utils.hasClose(brace)); // true
+ * var ast = utils.fromJSON(fs.readFileSync('ast.json', 'utf8'), Node);
+ * console.log(ast.nodes[0].parent === ast); //=> true
  * ```
- * @param {Object} `node` Instance of [snapdragon-node][]
- * @return {Boolean}
+ * @param {String|Object} `json`
+ * @param {Function} `Node` (required) Node constructor function from [snapdragon-node][].
+ * @return {Object} Returns the root node.
  * @api public
  */
 
-utils.hasOpenAndClose = function(node) {
-  return utils.hasOpen(node) && utils.hasClose(node);
+utils.fromJSON = function(json, Node) {
+  assert(isFunction(Node), 'expected Node to be a constructor function');
+  var obj = isString(json) ? JSON.parse(json) : json;
+  assert(isObject(obj), 'expected json to be a string or object');
+  return reviveNode(obj, Node);
 };
 
 /**
- * Push the given `node` onto the `state.inside` array for the
- * given type. This array is used as a specialized "stack" for
- * only the given `node.type`.
+ * Render `node` and its child nodes as an indented tree, for debugging
+ * and error messages. Values are shown with `JSON.stringify`, `*.open`
+ * and `*.close` nodes are labeled `[open]` and `[close]`, and other
+ * empty nodes (see [isEmpty](#isEmpty)) are labeled `(empty)`.
  *
  * ```js
- * var state = { inside: {}};
- * var node = new Node({type: 'brace'});
- * utils.addType(state, node);
- * console.log(state.inside);
- * //=> { brace: [{type: 'brace'}] }
+ * console.log(utils.inspect(ast, {positions: true}));
+ * // root
+ * // ├─ bos "" (empty) 1:1-1:1
+ * // ├─ brace
+ * // │  ├─ brace.open "{" [open] 1:1-1:2
+ * // │  ├─ text "a" 1:2-1:3
+ * // │  └─ brace.close "}" [close] 1:3-1:4
+ * // └─ eos "" (empty) 1:4-1:4
  * ```
- * @param {Object} `state` The `compiler.state` object or custom state object.
  * @param {Object} `node` Instance of [snapdragon-node][]
- * @return {Array} Returns the `state.inside` stack for the given type.
+ * @param {Object} `options` Set `options.values` to false to hide values, `options.positions` to true to show line and column ranges, and `options.maxDepth` to limit how many levels are rendered.
+ * @return {String}
  * @api public
  */
 
-utils.addType = function(state, node) {
-  assert(utils.isNode(node), 'expected node to be an instance of Node');
-  assert(isObject(state), 'expected state to be an object');
+utils.inspect = function(node, options) {
+  expect(node, 'node');
+  var opts = Object.assign({ values: true, positions: false, maxDepth: Infinity }, options);
+  var stack = [{ node: node, prefix: '', indent: '', depth: 0 }];
+  var empty = findEmptyNodes(node);
+  var lines = [];
+
+  while (stack.length) {
+    var item = stack.pop();
+    var child = item.node;
+    lines.push(item.prefix + inspectNode(child, opts, empty));
+    if (!isArray(child.nodes) || child.nodes.length === 0) continue;
+
+    if (item.depth >= opts.maxDepth) {
+      lines[lines.length - 1] += ' [' + child.nodes.length + ' nodes]';
+      continue;
+    }
+
+    for (var i = child.nodes.length - 1; i >= 0; i--) {
+      var isLast = i === child.nodes.length - 1;
+      stack.push({
+        node: child.nodes[i],
+        prefix: item.indent + (isLast ? '└─ ' : '├─ '),
+        indent: item.indent + (isLast ? '   ' : '│  '),
+        depth: item.depth + 1
+      });
+    }
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Compile a matcher `spec` into a function that takes a node and returns
+ * true if the node matches. Specs may be a node type string, a regular
+ * expression to test against `node.type`, a function that is called with
+ * the node, an array of specs (any of which may match), or an object with
+ * any of the following properties, all of which must match:
+ *
+ * - `type`: a spec to match against the node
+ * - `value`: a string, regular expression or function to match against [utils.value(node)](#value)
+ * - `parent`: a spec to match against `node.parent`
+ * - `not`: a spec that must not match the node
+ * - `and`: an array of specs that must all match the node
+ * - `or`: an array of specs, any of which may match the node
+ *
+ * Specs are accepted by every method that takes a `type`. Compile a spec
+ * once with this method when the same spec is used many times.
+ *
+ * ```js
+ * var isBraceText = utils.matcher({
+ *   type: 'text',
+ *   value: /^[a-z]+$/,
+ *   parent: { or: ['brace', /^paren/] },
+ *   not: function(node) {
+ *     return node.escaped === true;
+ *   }
+ * });
+ *
+ * var nodes = ast.nodes.filter(isBraceText);
+ * console.log(utils.hasType(ast, isBraceText));
+ * ```
+ * @param {String|RegExp|Function|Array|Object} `spec`
+ * @return {Function}
+ * @api public
+ */
+
+utils.matcher = function(spec) {
+  switch (typeOf(spec)) {
+    case 'string':
+      return function(node) {
+        return utils.isNode(node) && node.type === spec;
+      };
+    case 'regexp':
+      return function(node) {
+        return utils.isNode(node) && spec.test(node.type);
+      };
+    case 'function':
+      return function(node) {
+        return utils.isNode(node) && Boolean(spec(node));
+      };
+    case 'array': {
+      var fns = spec.map(utils.matcher);
+      return function(node) {
+        return fns.some(function(fn) {
+          return fn(node);
+        });
+      };
+    }
+    case 'object':
+      return objectMatcher(spec);
+    default: {
+      throw new TypeError('expected "type" to be an array, string, regexp, function or object');
+    }
+  }
+};
+
+/**
+ * Returns true if `node.type` matches the given `type`, which may be any
+ * [matcher](#matcher) spec. Throws a `TypeError` if the type is invalid.
+ *
+ * ```js
+ * var Node = require('snapdragon-node');
+ * var node = new Node({type: 'foo'});
+ * console.log(utils.isType(node, 'foo')); // false
+ * console.log(utils.isType(node, 'bar')); // true
+ * console.log(utils.isType(node, {type: /^f/, not: {parent: 'brace'}})); // true
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {String|RegExp|Function|Array|Object} `type`
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.isType = function(node, type) {
+  if (!utils.isNode(node)) return false;
+  switch (typeOf(type)) {
+    case 'string':
+      return node.type === type;
+    case 'regexp':
+      return type.test(node.type);
+    default: {
+      return utils.matcher(type)(node);
+    }
+  }
+};
+
+/**
+ * Returns true if the given `node` has the given `type` in `node.nodes`.
+ * Throws a `TypeError` if `node` is not an instance of `Node`.
+ *
+ * ```js
+ * var Node = require('snapdragon-node');
+ * var node = new Node({
+ *   type: 'foo',
+ *   nodes: [
+ *     new Node({type: 'bar'}),
+ *     new Node({type: 'baz'})
+ *   ]
+ * });
+ * console.log(utils.hasType(node, 'xyz')); // false
+ * console.log(utils.hasType(node, 'baz')); // true
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {String|RegExp|Function|Array|Object} `type`
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.hasType = function(node, type) {
+  if (!utils.isNode(node)) return false;
+  if (!Array.isArray(node.nodes)) return false;
+  var match = utils.matcher(type);
+  for (const child of node.nodes) {
+    if (match(child)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Returns the first node from `node.nodes` of the given `type`
+ *
+ * ```js
+ * var node = new Node({
+ *   type: 'foo',
+ *   nodes: [
+ *     new Node({type: 'text', value: 'abc'}),
+ *     new Node({type: 'text', value: 'xyz'})
+ *   ]
+ * });
+ *
+ * var textNode = utils.firstOfType(node.nodes, 'text');
+ * console.log(textNode.value);
+ * //=> 'abc'
+ * ```
+ * @param {Array} `nodes`
+ * @param {String|RegExp|Function|Array|Object} `type`
+ * @return {Object|undefined} Returns the first matching node or undefined.
+ * @api public
+ */
+
+utils.firstOfType = function(nodes, type) {
+  var match = utils.matcher(type);
+  for (const node of nodes) {
+    if (match(node)) {
+      return node;
+    }
+  }
+};
+
+/**
+ * Returns all nodes from `nodes` of the given `type`, which may be any
+ * [matcher](#matcher) spec. Set `options.deep` to also include matching
+ * descendants, in depth-first pre-order.
+ *
+ * ```js
+ * var textNodes = utils.findAll(node.nodes, 'text');
+ * var allText = utils.findAll(ast.nodes, 'text', { deep: true });
+ * ```
+ * @param {Array} `nodes`
+ * @param {String|RegExp|Function|Array|Object} `type`
+ * @param {Object} `options`
+ * @return {Array} Returns an array of matching nodes.
+ * @api public
+ */
+
+utils.findAll = function(nodes, type, options) {
+  var match = utils.matcher(type);
+  var res = [];
+  for (var node of eachNode(nodes, options)) {
+    if (match(node)) {
+      res.push(node);
+    }
+  }
+  return res;
+};
+
+/**
+ * Returns the last node from `nodes` of the given `type`, which may be
+ * any [matcher](#matcher) spec. Set `options.deep` to also search
+ * descendants, in which case the last match in depth-first pre-order
+ * is returned.
+ *
+ * ```js
+ * var close = utils.lastOfType(brace.nodes, /\.close$/);
+ * ```
+ * @param {Array} `nodes`
+ * @param {String|RegExp|Function|Array|Object} `type`
+ * @param {Object} `options`
+ * @return {Object|undefined} Returns the last matching node or undefined.
+ * @api public
+ */
+
+utils.lastOfType = function(nodes, type, options) {
+  return utils.last(utils.findAll(nodes, type, options));
+};
+
+/**
+ * Returns the number of nodes in `node.nodes` of the given `type`, which
+ * may be any [matcher](#matcher) spec. Set `options.deep` to count all
+ * matching descendants of `node`.
+ *
+ * ```js
+ * var ast = parser.parse('a/b/c');
+ * console.log(utils.countType(ast, 'slash')); //=> 2
+ * console.log(utils.countType(ast, 'text', { deep: true })); //=> 3
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {String|RegExp|Function|Array|Object} `type`
+ * @param {Object} `options`
+ * @return {Number}
+ * @api public
+ */
+
+utils.countType = function(node, type, options) {
+  expect(node, 'node');
+  return utils.findAll(node.nodes, type, options).length;
+};
+
+/**
+ * Returns the node at the specified index, or the first node of the
+ * given `type` from `node.nodes`.
+ *
+ * ```js
+ * var node = new Node({
+ *   type: 'foo',
+ *   nodes: [
+ *     new Node({type: 'text', value: 'abc'}),
+ *     new Node({type: 'text', value: 'xyz'})
+ *   ]
+ * });
+ *
+ * var nodeOne = utils.findNode(node.nodes, 'text');
+ * console.log(nodeOne.value);
+ * //=> 'abc'
+ *
+ * var nodeTwo = utils.findNode(node.nodes, 1);
+ * console.log(nodeTwo.value);
+ * //=> 'xyz'
+ * ```
+ *
+ * @param {Array} `nodes`
+ * @param {String|RegExp|Function|Array|Object|Number} `type` Node type (any [matcher](#matcher) spec) or index.
+ * @return {Object} Returns a node or undefined.
+ * @api public
+ */
+
+utils.findNode = function(nodes, type) {
+  if (!Array.isArray(nodes)) return null;
+  if (typeof type === 'number') return nodes[type];
+  return utils.firstOfType(nodes, type);
+};
+
+/**
+ * Returns the first node in `node` or its descendants that matches the given
+ * CSS-style `selector`. Selectors are made of node types (e.g. `brace.open`),
+ * or `*` for any type, and support descendant (` `), child (`>`), adjacent
+ * sibling (`+`) and general sibling (`~`) combinators, comma-separated
+ * selector lists, attribute predicates (e.g. `[value="a"]`, `[value^=a]`,
+ * `[value$=a]`, `[value*=a]`, `[value!=a]`, `[value]`), and the `:first`
+ * (or `:first-child`), `:last` (or `:last-child`), `:first-of-type`,
+ * `:last-of-type`, `:empty`, `:block`, `:has(selector)` and
+ * `:not(selector)` pseudo-classes. Since blocks start with an `*.open`
+ * node, use `:first-of-type` to get the first node of a type in a block.
+ * Selectors are compiled once and cached.
+ *
+ * ```js
+ * var textNode = utils.query(ast, 'brace > text:first-of-type');
+ * var open = utils.query(ast, 'brace:has(text[value="a"]) > brace.open');
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {String} `selector`
+ * @return {Object|undefined} Returns the first matching node or undefined.
+ * @api public
+ */
+
+utils.query = function(node, selector) {
+  return queryNodes(node, compileSelector(selector), true, true)[0];
+};
+
+/**
+ * Returns an array of all nodes in `node` or its descendants that match
+ * the given CSS-style `selector`. See [query](#query) for supported syntax.
+ *
+ * ```js
+ * var braces = utils.queryAll(ast, 'brace:not(:empty)');
+ * var stars = utils.queryAll(ast, 'slash + star, slash ~ qmark');
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {String} `selector`
+ * @return {Array} Returns an array of matching nodes.
+ * @api public
+ */
+
+utils.queryAll = function(node, selector) {
+  return queryNodes(node, compileSelector(selector), false, true);
+};
+
+/**
+ * Rewrite `node` and its descendants with the given `rules`, until no
+ * more rules match. Each rule is an object with a `replace` function,
+ * and a `type` (any type accepted by [isType](#isType)), CSS-style
+ * `selector` (see [query](#query)) and/or `match` function to specify
+ * which nodes the rule applies to. The first matching rule for a node
+ * is called with the node and its [visit](#visit) path, and may return
+ * a replacement node, an array of nodes, `null` to remove the node, or
+ * `undefined` to leave it as-is. Nodes that are modified in place should
+ * be returned.
+ *
+ * Rules are applied in passes over the tree until no rule returns a
+ * value in a pass. An error is thrown if the rules produce a tree that
+ * was already seen in an earlier pass (with the same node types, values
+ * and other enumerable properties), or after `options.maxIterations`
+ * passes (default `100`).
+ *
+ * ```js
+ * utils.rewrite(ast, [
+ *   {
+ *     // collapse "{a}" into "a"
+ *     type: 'brace',
+ *     match: function(node) {
+ *       return node.nodes.length === 3 && utils.isType(node.nodes[1], 'text');
+ *     },
+ *     replace: function(node) {
+ *       return node.nodes[1];
+ *     }
+ *   },
+ *   {
+ *     type: 'text',
+ *     match: function(node, path) {
+ *       return utils.isType(path.parent.nodes[path.index + 1], 'text');
+ *     },
+ *     replace: function(node, path) {
+ *       var next = path.parent.nodes[path.index + 1];
+ *       node.value += next.value;
+ *       utils.removeNode(path.parent, next);
+ *       return node;
+ *     }
+ *   }
+ * ]);
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Object|Array} `rules` Rule or array of rules.
+ * @param {Object} `options`
+ * @return {Object} Returns the node, or its replacement if the root node was replaced.
+ * @api public
+ */
+
+utils.rewrite = function(node, rules, options) {
+  expect(node, 'node');
+  var opts = Object.assign({ maxIterations: 100 }, options);
+  var matchers = (isArray(rules) ? rules : [rules]).map(createRule);
+  var seen = new Set([fingerprint(node)]);
+  var root = node;
+
+  for (var i = 0; i < opts.maxIterations; i++) {
+    var changed = false;
+    var parents = new Map();
+    var ctx = {
+      parent: function(child) {
+        return parents.get(child) || null;
+      }
+    };
+
+    root = utils.visit(root, function(child, path) {
+      parents.set(child, path.parentPath ? path.parent : null);
+      for (var rule of matchers) {
+        if (rule.match(child, path, ctx)) {
+          var res = rule.replace(child, path);
+          if (res !== undefined) {
+            changed = true;
+            return applyRewrite(path, res);
+          }
+        }
+      }
+    });
+
+    if (!changed) {
+      return root;
+    }
+    var key = fingerprint(root);
+    if (seen.has(key)) {
+      throw new Error('expected rewrite rules to converge, but a cycle was detected');
+    }
+    seen.add(key);
+  }
+
+  throw new Error('expected rewrite rules to converge within ' + opts.maxIterations + ' iterations');
+};
+
+/**
+ * Returns true if the given node is an "*.open" node.
+ *
+ * ```js
+ * var Node = require('snapdragon-node');
+ * var brace = new Node({type: 'brace'});
+ * var open = new Node({type: 'brace.open'});
+ * var close = new Node({type: 'brace.close'});
+ *
+ * console.log(utils.isOpen(brace)); // false
+ * console.log(utils.isOpen(open)); // true
+ * console.log(utils.isOpen(close)); // false
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.isOpen = function(node) {
+  if (!node) return false;
+  if (node.parent && typeof node.parent.isOpen === 'function') {
+    return node.parent.isOpen(node);
+  }
+  if (node && typeof node.isOpen === 'function') {
+    return node.isOpen(node);
+  }
+  return node.type ? node.type.slice(-5) === '.open' : false;
+};
+
+/**
+ * Returns true if the given node is a "*.close" node.
+ *
+ * ```js
+ * var Node = require('snapdragon-node');
+ * var brace = new Node({type: 'brace'});
+ * var open = new Node({type: 'brace.open'});
+ * var close = new Node({type: 'brace.close'});
+ *
+ * console.log(utils.isClose(brace)); // false
+ * console.log(utils.isClose(open)); // false
+ * console.log(utils.isClose(close)); // true
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.isClose = function(node) {
+  if (!node) return false;
+  if (node.parent && typeof node.parent.isClose === 'function') {
+    return node.parent.isClose(node);
+  }
+  if (node && typeof node.isClose === 'function') {
+    return node.isClose(node);
+  }
+  return node.type ? node.type.slice(-6) === '.close' : false;
+};
+
+/**
+ * Returns true if the given node is an "*.open" node.
+ *
+ * ```js
+ * var Node = require('snapdragon-node');
+ * var brace = new Node({type: 'brace'});
+ * var open = new Node({type: 'brace.open', value: '{'});
+ * var inner = new Node({type: 'text', value: 'a,b,c'});
+ * var close = new Node({type: 'brace.close', value: '}'});
+ * brace.push(open);
+ * brace.push(inner);
+ * brace.push(close);
+ *
+ * console.log(utils.isBlock(brace)); // true
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.isBlock = function(node) {
+  if (!node || !utils.isNode(node)) return false;
+  if (!Array.isArray(node.nodes)) {
+    return false;
+  }
+  if (node.parent && typeof node.parent.isBlock === 'function') {
+    return node.parent.isBlock(node);
+  }
+  if (typeof node.isBlock === 'function') {
+    return node.isBlock(node);
+  }
+  return utils.hasOpenAndClose(node);
+};
+
+/**
+ * Returns true if `parent.nodes` has the given `node`.
+ *
+ * ```js
+ * const foo = new Node({type: 'foo'});
+ * const bar = new Node({type: 'bar'});
+ * cosole.log(util.hasNode(foo, bar)); // false
+ * foo.push(bar);
+ * cosole.log(util.hasNode(foo, bar)); // true
+ * ```
+ * @param {String} `type`
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.hasNode = function(node, child) {
+  if (!utils.isNode(node)) return false;
+  if (typeof node.has === 'function') {
+    return node.has(child);
+  }
+  if (node.nodes) {
+    return node.nodes.indexOf(child) !== -1;
+  }
+  return false;
+};
+
+/**
+ * Returns true if `node.nodes` **has** an `.open` node
+ *
+ * ```js
+ * var Node = require('snapdragon-node');
+ * var brace = new Node({
+ *   type: 'brace',
+ *   nodes: []
+ * });
+ *
+ * var open = new Node({type: 'brace.open'});
+ * console.log(utils.hasOpen(brace)); // false
+ *
+ * brace.pushNode(open);
+ * console.log(utils.hasOpen(brace)); // true
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.hasOpen = function(node) {
+  assert(utils.isNode(node), 'expected node to be an instance of Node');
+  var first = node.first || node.nodes ? node.nodes[0] : null;
+  if (!utils.isNode(first)) return false;
+  if (node.isOpen === 'function') {
+    return node.isOpen(first);
+  }
+  return first.type === node.type + '.open';
+};
+
+/**
+ * Returns true if `node.nodes` **has** a `.close` node
+ *
+ * ```js
+ * var Node = require('snapdragon-node');
+ * var brace = new Node({
+ *   type: 'brace',
+ *   nodes: []
+ * });
+ *
+ * var close = new Node({type: 'brace.close'});
+ * console.log(utils.hasClose(brace)); // false
+ *
+ * brace.pushNode(close);
+ * console.log(utils.hasClose(brace)); // true
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.hasClose = function(node) {
+  assert(utils.isNode(node), 'expected node to be an instance of Node');
+  var last = node.last || node.nodes ? node.nodes[node.nodes.length - 1] : null;
+  if (!utils.isNode(last)) return false;
+  if (typeof node.isClose === 'function') {
+    return node.isClose(last);
+  }
+  return last.type === node.type + '.close';
+};
+
+/**
+ * Returns true if `node.nodes` has both `.open` and `.close` nodes
+ *
+ * ```js
+ * var Node = require('snapdragon-node');
+ * var brace = new Node({
+ *   type: 'brace',
+ *   nodes: []
+ * });
+ *
+ * var open = new Node({type: 'brace.open'});
+ * var close = new Node({type: 'brace.close'});
+ * console.log(utils.hasOpen(brace)); // false
+ * console.log(utils.hasClose(brace)); // false
+ *
+ * brace.pushNode(open);
+ * brace.pushNode(close);
+ * console.log(utils.hasOpen(brace)); // true
+ * console.log(utils.hasClose(brace)); // true
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.hasOpenAndClose = function(node) {
+  return utils.hasOpen(node) && utils.hasClose(node);
+};
+
+/**
+ * Walk `node` and its child nodes and return an array of diagnostics
+ * describing problems in the tree, like blocks with an `*.open` node but
+ * no `*.close` node (or vice versa), `*.open` and `*.close` nodes that are
+ * not the first or last node in `parent.nodes`, child nodes whose `parent`
+ * property does not point to the parent node, node instances that appear
+ * more than once in the tree, and values that are not strings. Each
+ * diagnostic has a `code`, a `message` and the `node` with the problem.
+ *
+ * ```js
+ * var diagnostics = utils.validate(ast);
+ * for (var diagnostic of diagnostics) {
+ *   console.log(diagnostic.code, diagnostic.message);
+ *   //=> 'missing-close', 'expected "brace" to have a "brace.close" node'
+ * }
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Array} Returns an array of diagnostics, or an empty array if no problems were found.
+ * @api public
+ */
+
+utils.validate = function(node) {
+  expect(node, 'node');
+  var diagnostics = [];
+  var seen = new Set();
+
+  function report(code, child, message) {
+    diagnostics.push({ code: code, message: message, node: child });
+  }
+
+  utils.visit(node, function(child, path) {
+    if (!utils.isNode(child)) {
+      report('invalid-node', child, 'expected node ' + path.index + ' of "' + path.parent.type + '" to be an instance of Node');
+      return SKIP;
+    }
+
+    if (seen.has(child)) {
+      report('duplicate-node', child, 'expected "' + child.type + '" to only exist once in the tree');
+      return SKIP;
+    }
+    seen.add(child);
+
+    if (path.parentPath && child.parent !== path.parent) {
+      report('invalid-parent', child, 'expected the parent of "' + child.type + '" to be "' + path.parent.type + '"');
+    }
+
+    var value = child.value !== undefined ? child.value : child.val;
+    if (value !== undefined && value !== null && !isString(value)) {
+      report('invalid-value', child, 'expected the value of "' + child.type + '" to be a string');
+    }
+
+    if (path.parentPath) {
+      var siblings = path.parent.nodes;
+      if (utils.isOpen(child) && (path.index !== 0 || child.type !== path.parent.type + '.open')) {
+        report('stray-open', child, 'unexpected "' + child.type + '" at index ' + path.index + ' of "' + path.parent.type + '"');
+      }
+      if (utils.isClose(child) && (path.index !== siblings.length - 1 || child.type !== path.parent.type + '.close')) {
+        report('stray-close', child, 'unexpected "' + child.type + '" at index ' + path.index + ' of "' + path.parent.type + '"');
+      }
+    }
+
+    if (isArray(child.nodes) && child.nodes.length) {
+      var hasOpen = utils.hasOpen(child);
+      var hasClose = utils.hasClose(child);
+      if (hasOpen && !hasClose) {
+        report('missing-close', child, 'expected "' + child.type + '" to have a "' + child.type + '.close" node');
+      }
+      if (hasClose && !hasOpen) {
+        report('missing-open', child, 'expected "' + child.type + '" to have a "' + child.type + '.open" node');
+      }
+    }
+  });
+
+  return diagnostics;
+};
+
+/**
+ * Push the given `node` onto the `state.inside` array for the
+ * given type. This array is used as a specialized "stack" for
+ * only the given `node.type`.
+ *
+ * ```js
+ * var state = { inside: {}};
+ * var node = new Node({type: 'brace'});
+ * utils.addType(state, node);
+ * console.log(state.inside);
+ * //=> { brace: [{type: 'brace'}] }
+ * ```
+ * @param {Object} `state` The `compiler.state` object or custom state object.
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Array} Returns the `state.inside` stack for the given type.
+ * @api public
+ */
+
+utils.addType = function(state, node) {
+  assert(utils.isNode(node), 'expected node to be an instance of Node');
+  assert(isObject(state), 'expected state to be an object');
+
+  var type = node.parent
+    ? node.parent.type
+    : node.type.replace(/\.open$/, '');
+
+  if (!state.hasOwnProperty('inside')) {
+    state.inside = {};
+  }
+  if (!state.inside.hasOwnProperty(type)) {
+    state.inside[type] = [];
+  }
+
+  var arr = state.inside[type];
+  arr.push(node);
+  return arr;
+};
+
+/**
+ * Remove the given `node` from the `state.inside` array for the
+ * given type. This array is used as a specialized "stack" for
+ * only the given `node.type`.
+ *
+ * ```js
+ * var state = { inside: {}};
+ * var node = new Node({type: 'brace'});
+ * utils.addType(state, node);
+ * console.log(state.inside);
+ * //=> { brace: [{type: 'brace'}] }
+ * utils.removeType(state, node);
+ * //=> { brace: [] }
+ * ```
+ * @param {Object} `state` The `compiler.state` object or custom state object.
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Array} Returns the `state.inside` stack for the given type.
+ * @api public
+ */
+
+utils.removeType = function(state, node) {
+  assert(utils.isNode(node), 'expected node to be an instance of Node');
+  assert(isObject(state), 'expected state to be an object');
+
+  var type = node.parent
+    ? node.parent.type
+    : node.type.replace(/\.close$/, '');
+
+  if (state.inside.hasOwnProperty(type)) {
+    return state.inside[type].pop();
+  }
+};
+
+/**
+ * Returns true if `node.value` is an empty string, or `node.nodes` does
+ * not contain any non-empty text nodes.
+ *
+ * ```js
+ * var node = new Node({type: 'text'});
+ * utils.isEmpty(node); //=> true
+ * node.value = 'foo';
+ * utils.isEmpty(node); //=> false
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {Function} `fn`
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.isEmpty = function(node, fn) {
+  assert(utils.isNode(node), 'expected node to be an instance of Node');
+
+  if (!Array.isArray(node.nodes)) {
+    if (typeof fn === 'function') {
+      return fn(node);
+    }
+    return !utils.value(node);
+  }
+
+  if (node.nodes.length === 0) {
+    return true;
+  }
+
+  for (const child of node.nodes) {
+    if (!utils.isEmpty(child, fn)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Returns true if the `state.inside` stack for the given type exists
+ * and has one or more nodes on it. When `type` is not a string, it may
+ * be any [matcher](#matcher) spec, and is matched against the last node
+ * of each stack, using the stack's key as the node type.
+ *
+ * ```js
+ * var state = { inside: {}};
+ * var node = new Node({type: 'brace'});
+ * console.log(utils.isInsideType(state, 'brace')); //=> false
+ * utils.addType(state, node);
+ * console.log(utils.isInsideType(state, 'brace')); //=> true
+ * utils.removeType(state, node);
+ * console.log(utils.isInsideType(state, 'brace')); //=> false
+ * ```
+ * @param {Object} `state`
+ * @param {String|RegExp|Function|Array|Object} `type`
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.isInsideType = function(state, type) {
+  assert(isObject(state), 'expected state to be an object');
+  var match = isString(type) ? null : utils.matcher(type);
+
+  if (!state.hasOwnProperty('inside')) {
+    return false;
+  }
+
+  if (match) {
+    return isInsideScope(state, match);
+  }
+
+  if (!state.inside.hasOwnProperty(type)) {
+    return false;
+  }
+
+  return state.inside[type].length > 0;
+};
+
+/**
+ * Returns true if `node` is either a child or grand-child of the given `type`,
+ * or `state.inside[type]` is a non-empty array. The type may be any
+ * [matcher](#matcher) spec, which is matched against `node.parent` and
+ * the last node of each non-empty `state.inside` array, using the
+ * array's key as the node type. Strings and regular expressions (also in
+ * arrays) only need to match `node.parent.type`.
+ *
+ * ```js
+ * var state = { inside: {}};
+ * var node = new Node({type: 'brace'});
+ * var open = new Node({type: 'brace.open'});
+ * console.log(utils.isInside(state, open, 'brace')); //=> false
+ * utils.pushNode(node, open);
+ * console.log(utils.isInside(state, open, 'brace')); //=> true
+ * ```
+ * @param {Object} `state` Either the `compiler.state` object, if it exists, or a user-supplied state object.
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {String|RegExp|Function|Array|Object} `type` The `node.type` to check for.
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.isInside = function(state, node, type) {
+  assert(utils.isNode(node), 'expected node to be an instance of Node');
+  assert(isObject(state), 'expected state to be an object');
+
+  if (isArray(type)) {
+    for (var i = 0; i < type.length; i++) {
+      if (utils.isInside(state, node, type[i])) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  var parent = node.parent;
+  if (typeof type === 'string') {
+    return (parent && parent.type === type) || utils.isInsideType(state, type);
+  }
+
+  if (typeOf(type) === 'regexp') {
+    if (parent && parent.type && type.test(parent.type)) {
+      return true;
+    }
+    return isInsideScope(state, utils.matcher(type));
+  }
+
+  if (['function', 'object'].indexOf(typeOf(type)) === -1) {
+    return false;
+  }
+
+  var match = utils.matcher(type);
+  return match(parent) || isInsideScope(state, match);
+};
+
+/**
+ * Push a scope for the given block `node` (or its `*.open` node) onto the
+ * `state.scopes` stack. Unlike `state.inside`, which has a separate stack
+ * for each type, scopes are kept in the order they were entered. The block
+ * node is also added to `state.inside[type]`, to keep [isInside](#isInside)
+ * and [isInsideType](#isInsideType) working.
+ *
+ * ```js
+ * var state = {};
+ * utils.enterScope(state, bracket);
+ * utils.enterScope(state, brace);
+ * console.log(utils.currentScope(state).type); //=> 'brace'
+ * console.log(state.inside.brace.length); //=> 1
+ * ```
+ * @param {Object} `state` The `compiler.state` object or custom state object.
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Object} Returns the created scope, with `type` and `node` properties.
+ * @api public
+ */
+
+utils.enterScope = function(state, node) {
+  assert(utils.isNode(node), 'expected node to be an instance of Node');
+  assert(isObject(state), 'expected state to be an object');
+
+  var scope = createScope(node);
+  if (!state.hasOwnProperty('scopes')) {
+    state.scopes = [];
+  }
+  if (!state.hasOwnProperty('inside')) {
+    state.inside = {};
+  }
+  if (!state.inside.hasOwnProperty(scope.type)) {
+    state.inside[scope.type] = [];
+  }
+
+  state.scopes.push(scope);
+  state.inside[scope.type].push(scope.node);
+  return scope;
+};
+
+/**
+ * Remove the innermost scope from `state.scopes`, or the innermost scope
+ * for the given block `node` (or its `*.close` node), and remove the block
+ * node from `state.inside[type]`.
+ *
+ * ```js
+ * utils.enterScope(state, brace);
+ * utils.exitScope(state, brace.nodes[brace.nodes.length - 1]);
+ * console.log(utils.currentScope(state)); //=> null
+ * ```
+ * @param {Object} `state` The `compiler.state` object or custom state object.
+ * @param {Object} `node` Optionally pass the node to remove the scope for.
+ * @return {Object|undefined} Returns the removed scope, or undefined if no matching scope exists.
+ * @api public
+ */
+
+utils.exitScope = function(state, node) {
+  assert(isObject(state), 'expected state to be an object');
+  if (!isArray(state.scopes)) return;
+
+  var idx = state.scopes.length - 1;
+  if (node !== undefined) {
+    assert(utils.isNode(node), 'expected node to be an instance of Node');
+    var type = createScope(node).type;
+    while (idx >= 0 && state.scopes[idx].type !== type) idx--;
+  }
+  if (idx < 0) return;
+
+  var scope = state.scopes.splice(idx, 1)[0];
+  var inside = state.inside && state.inside[scope.type];
+  if (isArray(inside) && inside.lastIndexOf(scope.node) !== -1) {
+    inside.splice(inside.lastIndexOf(scope.node), 1);
+  }
+  return scope;
+};
+
+/**
+ * Get the innermost scope from `state.scopes`.
+ *
+ * ```js
+ * var scope = utils.currentScope(state);
+ * if (scope && scope.type === 'brace') {
+ *   // do stuff with "scope.node"
+ * }
+ * ```
+ * @param {Object} `state`
+ * @return {Object|null} Returns the scope, with `type` and `node` properties, or null.
+ * @api public
+ */
+
+utils.currentScope = function(state) {
+  assert(isObject(state), 'expected state to be an object');
+  return utils.last(state.scopes) || null;
+};
+
+/**
+ * Get a copy of the `state.scopes` stack, from the outermost to the
+ * innermost scope.
+ *
+ * ```js
+ * console.log(utils.scopeChain(state).map(scope => scope.type));
+ * //=> ['bracket', 'brace']
+ * ```
+ * @param {Object} `state`
+ * @return {Array}
+ * @api public
+ */
+
+utils.scopeChain = function(state) {
+  assert(isObject(state), 'expected state to be an object');
+  return isArray(state.scopes) ? state.scopes.slice() : [];
+};
+
+/**
+ * Returns true if `state.scopes` contains scopes for the given `types`,
+ * in the given order and directly nested in one another. Types may be
+ * any [matcher](#matcher) spec, and are matched against the node of each
+ * scope, using the scope's type as the node type.
+ *
+ * ```js
+ * utils.enterScope(state, bracket);
+ * utils.enterScope(state, brace);
+ * console.log(utils.isInsideSequence(state, ['bracket', 'brace'])); //=> true
+ * console.log(utils.isInsideSequence(state, ['brace', 'bracket'])); //=> false
+ * ```
+ * @param {Object} `state`
+ * @param {Array} `types`
+ * @return {Boolean}
+ * @api public
+ */
+
+utils.isInsideSequence = function(state, types) {
+  assert(isObject(state), 'expected state to be an object');
+  assert(isArray(types), 'expected types to be an array');
+
+  var scopes = utils.scopeChain(state);
+  var matchers = types.map(utils.matcher);
+  if (types.length === 0) return true;
+
+  for (var i = 0; i <= scopes.length - types.length; i++) {
+    var matches = true;
+    for (var j = 0; j < types.length && matches; j++) {
+      var scope = scopes[i + j];
+      matches = matchers[j](scopeNode(scope.type, scope.node));
+    }
+    if (matches) return true;
+  }
+  return false;
+};
+
+/**
+ * Returns a plugin for a snapdragon compiler or parser that wraps registered
+ * handlers (and handlers registered afterwards) to automatically enter a
+ * scope (see [enterScope](#enterScope)) for `*.open` nodes, and exit the
+ * scope for `*.close` nodes. An error is thrown when a `*.close` node does
+ * not match the current scope.
+ *
+ * ```js
+ * snapdragon.compiler.use(utils.trackScopes());
+ * snapdragon.compiler.set('text', function(node) {
+ *   if (utils.isInsideSequence(this.state, ['bracket', 'brace'])) {
+ *     // do stuff
+ *   }
+ * });
+ * ```
+ * @return {Function} Returns a plugin function to pass to `.use`.
+ * @api public
+ */
+
+utils.trackScopes = function() {
+  return function(app) {
+    var handlers = app.compilers || app.parsers;
+    assert(isObject(handlers), 'expected a snapdragon compiler or parser');
+    if (app.isTrackingScopes === true) return;
+    define(app, 'isTrackingScopes', true);
+
+    if (!isObject(app.state)) {
+      app.state = {};
+    }
+
+    for (var key of Object.keys(handlers)) {
+      handlers[key] = trackScopes(handlers[key]);
+    }
+
+    var set = app.set;
+    app.set = function(type, fn) {
+      return set.call(this, type, trackScopes(fn));
+    };
+  };
+};
+
+/**
+ * Get the last `n` element from the given `array`. Used for getting
+ * a node from `node.nodes.`
+ *
+ * @param {Array} `array`
+ * @param {Number} `n`
+ * @return {undefined}
+ * @api public
+ */
+
+utils.last = function(arr, n) {
+  return Array.isArray(arr) ? arr[arr.length - (n || 1)] : null;
+};
+
+utils.lastNode = function(node) {
+  return Array.isArray(node.nodes) ? utils.last(node.nodes) : null;
+};
+
+/**
+ * Get the first node from `node.nodes`.
+ *
+ * ```js
+ * var open = utils.firstNode(brace);
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Object|null} Returns the first child node, or null.
+ * @api public
+ */
+
+utils.firstNode = function(node) {
+  return Array.isArray(node.nodes) && node.nodes.length ? node.nodes[0] : null;
+};
+
+/**
+ * Get an array of the ancestors of `node`, starting with `node.parent`
+ * and ending with the root node.
+ *
+ * ```js
+ * var types = utils.ancestors(node).map(n => n.type);
+ * //=> ['brace', 'root']
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Array}
+ * @api public
+ */
+
+utils.ancestors = function(node) {
+  expect(node, 'node');
+  var seen = new Set();
+  var parent = node.parent;
+  while (parent && !seen.has(parent)) {
+    seen.add(parent);
+    parent = parent.parent;
+  }
+  return Array.from(seen);
+};
+
+/**
+ * Get the nearest ancestor of `node` with the given `type`. Accepts
+ * any [matcher](#matcher) spec.
+ *
+ * ```js
+ * var brace = utils.closest(node, 'brace');
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @param {String|RegExp|Function|Array|Object} `type`
+ * @return {Object|null} Returns the matching ancestor, or null.
+ * @api public
+ */
+
+utils.closest = function(node, type) {
+  var match = utils.matcher(type);
+  for (var ancestor of utils.ancestors(node)) {
+    if (match(ancestor)) {
+      return ancestor;
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the number of ancestors of `node`. Returns `0` for the root node.
+ *
+ * ```js
+ * console.log(utils.depth(ast)); //=> 0
+ * console.log(utils.depth(ast.nodes[0])); //=> 1
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Number}
+ * @api public
+ */
+
+utils.depth = function(node) {
+  return utils.ancestors(node).length;
+};
+
+/**
+ * Get `node.parent.nodes`, which includes `node`. Returns null if
+ * the node does not have a parent.
+ *
+ * ```js
+ * utils.siblings(node).forEach(function(sibling) {
+ *   // do stuff with "sibling"
+ * });
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Array|null}
+ * @api public
+ */
+
+utils.siblings = function(node) {
+  expect(node, 'node');
+  return node.parent && Array.isArray(node.parent.nodes) ? node.parent.nodes : null;
+};
+
+/**
+ * Get the index of `node` in `node.parent.nodes`, or `-1` if the node
+ * does not have a parent.
+ *
+ * ```js
+ * console.log(utils.indexOf(ast.nodes[1])); //=> 1
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Number}
+ * @api public
+ */
+
+utils.indexOf = function(node) {
+  var siblings = utils.siblings(node);
+  return siblings ? siblings.indexOf(node) : -1;
+};
+
+/**
+ * Get the sibling before `node` in `node.parent.nodes`.
+ *
+ * ```js
+ * var prev = utils.prev(node);
+ * if (utils.isType(prev, 'slash')) {
+ *   // do stuff
+ * }
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Object|null} Returns the previous sibling, or null.
+ * @api public
+ */
+
+utils.prev = function(node) {
+  var idx = utils.indexOf(node);
+  return idx > 0 ? node.parent.nodes[idx - 1] : null;
+};
+
+/**
+ * Get the sibling after `node` in `node.parent.nodes`.
+ *
+ * ```js
+ * var next = utils.next(node);
+ * ```
+ * @param {Object} `node` Instance of [snapdragon-node][]
+ * @return {Object|null} Returns the next sibling, or null.
+ * @api public
+ */
+
+utils.next = function(node) {
+  var idx = utils.indexOf(node);
+  return idx !== -1 && idx < node.parent.nodes.length - 1 ? node.parent.nodes[idx + 1] : null;
+};
+
+/**
+ * Cast the given `value` to an array.
+ *
+ * ```js
+ * console.log(utils.arrayify(''));
+ * //=> []
+ * console.log(utils.arrayify('foo'));
+ * //=> ['foo']
+ * console.log(utils.arrayify(['foo']));
+ * //=> ['foo']
+ * ```
+ * @param {any} `value`
+ * @return {Array}
+ * @api public
+ */
+
+utils.arrayify = function(value) {
+  if (typeof value === 'string' && value !== '') {
+    return [value];
+  }
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value;
+};
+
+/**
+ * Convert the given `value` to a string by joining with `,`. Useful
+ * for creating a cheerio/CSS/DOM-style selector from a list of strings.
+ *
+ * @param {any} `value`
+ * @return {Array}
+ * @api public
+ */
+
+utils.stringify = function(value) {
+  return utils.arrayify(value).join(',');
+};
+
+/**
+ * Ensure that the given value is a string and call `.trim()` on it,
+ * or return an empty string.
+ *
+ * @param {String} `str`
+ * @return {String}
+ * @api public
+ */
+
+utils.trim = function(str) {
+  return typeof str === 'string' ? str.trim() : '';
+};
+
+/**
+ * Return true if value is an object
+ */
+
+function isObject(value) {
+  return typeOf(value) === 'object';
+}
+
+function isPlainObject(value) {
+  return Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isPosition(value) {
+  return isObject(value.start) && isObject(value.end);
+}
+
+/**
+ * Return true if value is a string
+ */
+
+function isString(value) {
+  return typeof value === 'string';
+}
+
+/**
+ * Return true if value is a function
+ */
+
+function isFunction(value) {
+  return typeof value === 'function';
+}
+
+/**
+ * Return true if value is an array
+ */
+
+function isArray(value) {
+  return Array.isArray(value);
+}
+
+/**
+ * Compile a [matcher](#matcher) spec object.
+ */
+
+function objectMatcher(spec) {
+  var keys = ['type', 'value', 'parent', 'not', 'and', 'or'];
+  var fns = [];
+
+  for (var key of Object.keys(spec)) {
+    if (keys.indexOf(key) === -1) {
+      throw new TypeError('expected matcher property "' + key + '" to be one of: ' + keys.join(', '));
+    }
+  }
+
+  if (spec.type !== undefined) {
+    fns.push(utils.matcher(spec.type));
+  }
+  if (spec.value !== undefined) {
+    var value = valueMatcher(spec.value);
+    fns.push(function(node) {
+      return value(utils.value(node));
+    });
+  }
+  if (spec.parent !== undefined) {
+    var parent = utils.matcher(spec.parent);
+    fns.push(function(node) {
+      return parent(node.parent);
+    });
+  }
+  if (spec.not !== undefined) {
+    var not = utils.matcher(spec.not);
+    fns.push(function(node) {
+      return !not(node);
+    });
+  }
+  if (spec.and !== undefined) {
+    if (!isArray(spec.and)) {
+      throw new TypeError('expected matcher property "and" to be an array');
+    }
+    fns = fns.concat(spec.and.map(utils.matcher));
+  }
+  if (spec.or !== undefined) {
+    if (!isArray(spec.or)) {
+      throw new TypeError('expected matcher property "or" to be an array');
+    }
+    fns.push(utils.matcher(spec.or));
+  }
+
+  return function(node) {
+    return utils.isNode(node) && fns.every(function(fn) {
+      return fn(node);
+    });
+  };
+}
+
+/**
+ * Compile the `value` property of a [matcher](#matcher) spec.
+ */
+
+function valueMatcher(spec) {
+  switch (typeOf(spec)) {
+    case 'string':
+      return function(value) {
+        return value === spec;
+      };
+    case 'regexp':
+      return function(value) {
+        return isString(value) && spec.test(value);
+      };
+    case 'function':
+      return function(value) {
+        return Boolean(spec(value));
+      };
+    default: {
+      throw new TypeError('expected matcher property "value" to be a string, regexp or function');
+    }
+  }
+}
+
+/**
+ * Returns true if the last node of any non-empty `state.inside` array
+ * matches `match`, using the array's key as the node type.
+ */
+
+function isInsideScope(state, match) {
+  if (!isObject(state.inside)) return false;
+  for (var key of Object.keys(state.inside)) {
+    var stack = state.inside[key];
+    if (isArray(stack) && stack.length !== 0 && match(scopeNode(key, utils.last(stack)))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Create a node with the given scope `type` that inherits the other
+ * properties of `node`, for matching scopes with [matcher](#matcher)
+ * specs.
+ */
+
+function scopeNode(type, node) {
+  var res = Object.create(utils.isNode(node) ? node : null);
+  res.type = type;
+  res.isNode = true;
+  return res;
+}
+
+/**
+ * Remove, collapse and merge the child nodes of `parent` for
+ * [normalize](#normalize).
+ */
+
+function normalizeNodes(parent, opts) {
+  for (var i = 0; i < parent.nodes.length; i++) {
+    var child = parent.nodes[i];
+
+    if (opts.removeEmpty && isRemovable(child) && utils.isEmpty(child, isEmptyLeaf)) {
+      utils.removeNode(parent, child);
+      i--;
+      continue;
+    }
+
+    if (opts.collapseSingleChildBlocks && isSingleChild(child)) {
+      child = utils.replaceNode(parent, child, child.nodes[0]) || child.nodes[0];
+    }
+
+    var prev = parent.nodes[i - 1];
+    if (opts.mergeText && isTextNode(prev) && isTextNode(child)) {
+      setValue(prev, (utils.value(prev) || '') + (utils.value(child) || ''));
+      if (startOf(prev) && endOf(child)) {
+        define(prev, 'position', createPosition(startOf(prev), endOf(child)));
+      }
+      utils.removeNode(parent, child);
+      i--;
+    }
+  }
+}
+
+/**
+ * Returns true if `node` is a `text` node, or a node with child nodes
+ * that doesn't have open or close nodes, which [normalize](#normalize)
+ * may remove when it's empty.
+ */
+
+function isRemovable(node) {
+  if (isTextNode(node)) return true;
+  return isArray(node.nodes) && !utils.hasOpen(node) && !utils.hasClose(node);
+}
+
+/**
+ * Returns true if `node` is an empty node that isn't an open or close
+ * node, so that nodes containing blocks are never removed.
+ */
+
+function isEmptyLeaf(node) {
+  return !utils.isOpen(node) && !utils.isClose(node) && !utils.value(node);
+}
+
+/**
+ * Returns true if `node` only has one child node, and neither is an
+ * open or close node.
+ */
+
+function isSingleChild(node) {
+  if (!isArray(node.nodes) || node.nodes.length !== 1) return false;
+  var child = node.nodes[0];
+  return !utils.isOpen(node) && !utils.isClose(node) && !utils.isOpen(child) && !utils.isClose(child);
+}
+
+/**
+ * Returns true if `node` is a `text` node without child nodes.
+ */
+
+function isTextNode(node) {
+  return utils.isType(node, 'text') && !isArray(node.nodes);
+}
+
+/**
+ * Normalize a visitor function or object into an object with
+ * `enter` and `leave` methods that are called with a path object.
+ */
+
+function createVisitor(visitor, call) {
+  call = call || callVisitor;
+  if (isFunction(visitor)) {
+    return {
+      enter: function(path) {
+        return call(null, path, [visitor]);
+      },
+      leave: function(path) {
+        return call(null, path, []);
+      }
+    };
+  }
+
+  assert(isObject(visitor), 'expected a visitor function or object');
+  return {
+    enter: function(path) {
+      var fns = [visitor.enter, typeVisitor(visitor, path.node, 'enter')];
+      return call(visitor, path, fns);
+    },
+    leave: function(path) {
+      var fns = [typeVisitor(visitor, path.node, 'leave'), visitor.leave];
+      return call(visitor, path, fns);
+    }
+  };
+}
+
+/**
+ * Get the `enter` or `leave` function for `node.type` from a visitor object.
+ * A function is treated as the `enter` method.
+ */
+
+function typeVisitor(visitor, node, method) {
+  if (node.type === 'enter' || node.type === 'leave') return;
+  var fn = visitor[node.type];
+  if (isFunction(fn)) {
+    return method === 'enter' ? fn : null;
+  }
+  return isObject(fn) ? fn[method] : null;
+}
+
+/**
+ * Call each visitor function in `fns` with `path.node` and `path`, until
+ * one of them returns a signal or a replacement node, or the node is
+ * removed or replaced using a path method.
+ */
+
+function callVisitor(visitor, path, fns) {
+  for (var i = 0; i < fns.length; i++) {
+    if (isFunction(fns[i])) {
+      var node = path.node;
+      var res = fns[i].call(visitor, node, path);
+      if (isSignal(res) || (utils.isNode(res) && res !== node)) {
+        return res;
+      }
+      if (path.removed || path.node !== node) {
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Like `callVisitor`, but waits for promises returned by visitor
+ * functions. Returns a promise for the signal or replacement node.
+ */
+
+function callVisitorAsync(visitor, path, fns, i) {
+  i = i || 0;
+  if (i >= fns.length) {
+    return Promise.resolve();
+  }
+  if (!isFunction(fns[i])) {
+    return callVisitorAsync(visitor, path, fns, i + 1);
+  }
+
+  var node = path.node;
+  return new Promise(function(resolve) {
+    resolve(fns[i].call(visitor, node, path));
+  }).then(function(res) {
+    if (isSignal(res) || (utils.isNode(res) && res !== node)) {
+      return res;
+    }
+    if (!path.removed && path.node === node) {
+      return callVisitorAsync(visitor, path, fns, i + 1);
+    }
+  });
+}
+
+/**
+ * Returns true if `value` is a visitor signal.
+ */
+
+function isSignal(value) {
+  return value === SKIP || value === BREAK || value === REMOVE;
+}
+
+/**
+ * Create the traversal state for [visit](#visit) and [mapVisit](#mapVisit).
+ */
+
+function createVisitState(options) {
+  var opts = Object.assign({ order: 'pre', maxDepth: Infinity }, options);
+  var orders = ['pre', 'post', 'bfs', 'reverse'];
+  assert(orders.indexOf(opts.order) !== -1, 'expected options.order to be one of "pre", "post", "bfs" or "reverse"');
+  assert(typeof opts.maxDepth === 'number' && opts.maxDepth >= 0, 'expected options.maxDepth to be a number');
+  return { order: opts.order, maxDepth: opts.maxDepth };
+}
+
+/**
+ * Visit `path.node` and its child nodes, applying any signal or
+ * replacement returned by the visitor.
+ */
+
+function visitPath(path, visitor, state) {
+  traverse(createFrame(path, true), visitor, state);
+}
+
+/**
+ * Visit each node in `parentPath.node.nodes`, without visiting
+ * `parentPath.node`.
+ */
+
+function visitNodes(parentPath, visitor, state) {
+  traverse(createFrame(parentPath, false), visitor, state);
+}
+
+/**
+ * Create a stack frame for `traverse`. The visitor is only called on
+ * `path.node` when `self` is true.
+ */
+
+function createFrame(path, self) {
+  return { path: path, self: self, entered: false, index: -1, child: null };
+}
+
+/**
+ * Visit `frame.path` and its descendants depth-first, in `state.order`.
+ */
+
+function traverse(frame, visitor, state) {
+  var post = state.order === 'post';
+  var reverse = state.order === 'reverse';
+  var stack = [frame];
+  var res;
+
+  while (stack.length) {
+    frame = stack[stack.length - 1];
+    var path = frame.path;
+
+    if (!frame.entered) {
+      frame.entered = true;
+      res = frame.self && !post ? visitor.enter(path) : undefined;
+      if (res === BREAK) break;
+      if (!applyResult(path, res)) {
+        stack.pop();
+        continue;
+      }
+      if (res === SKIP || !isArray(path.node.nodes)) {
+        frame.index = null;
+      } else {
+        frame.index = reverse ? path.node.nodes.length - 1 : 0;
+      }
+    }
+
+    if (frame.index !== null) {
+      var nodes = path.node.nodes;
+      if (frame.child) {
+        frame.index = reverse
+          ? Math.min(syncIndex(frame.child), nodes.length) - 1
+          : syncIndex(frame.child) + (frame.child.removed ? 0 : 1);
+        frame.child = null;
+      }
+
+      if (frame.index >= 0 && frame.index < nodes.length) {
+        frame.child = new Path(nodes[frame.index], path.node, frame.index, path);
+        assertDepth(frame.child, state);
+        stack.push(createFrame(frame.child, true));
+        continue;
+      }
+    }
+
+    stack.pop();
+    if (!frame.self) continue;
+    if (post) {
+      res = visitor.enter(path);
+      if (res === BREAK) break;
+      if (!applyResult(path, res)) continue;
+    }
+
+    res = visitor.leave(path);
+    if (res === BREAK) break;
+    applyResult(path, res);
+  }
+}
+
+/**
+ * Visit the nodes in `queue` breadth-first, adding the child nodes of
+ * each visited node to the end of the queue.
+ */
+
+function visitQueue(queue, visitor, state) {
+  for (var i = 0; i < queue.length; i++) {
+    var path = queue[i];
+    if (path.parentPath && (syncIndex(path) === -1 || path.removed)) {
+      continue;
+    }
+
+    var res = visitor.enter(path);
+    if (res === BREAK) break;
+    if (!applyResult(path, res)) continue;
+
+    var leave = visitor.leave(path);
+    if (leave === BREAK) break;
+    if (!applyResult(path, leave)) continue;
+
+    if (res !== SKIP && isArray(path.node.nodes)) {
+      queue.push.apply(queue, childPaths(path, state));
+    }
+  }
+}
+
+/**
+ * Create paths for the child nodes of `path.node`.
+ */
+
+function childPaths(path, state) {
+  return path.node.nodes.map(function(node, i) {
+    return assertDepth(new Path(node, path.node, i, path), state);
+  });
+}
+
+/**
+ * Throws a `RangeError` if `path.depth` is greater than
+ * `options.maxDepth`. The error has a `code` of `'max-depth'`,
+ * and the `node` and `depth` where the limit was exceeded.
+ */
+
+function assertDepth(path, state) {
+  if (path.depth > state.maxDepth) {
+    var err = new RangeError('expected nodes to be nested no more than ' + state.maxDepth + ' levels deep');
+    err.code = 'max-depth';
+    err.node = path.node;
+    err.depth = path.depth;
+    throw err;
+  }
+  return path;
+}
+
+/**
+ * Asynchronously visit the child nodes and `leave` method of `path`,
+ * after the promise returned by its `enter` method resolves.
+ */
+
+function visitPathAsync(path, entered, visitor, state) {
+  return entered.then(function(res) {
+    if (state.stopped) return;
+    if (res === BREAK) {
+      state.stopped = true;
+      return;
+    }
+
+    if (!applyResult(path, res)) return;
+    var children = res !== SKIP && isArray(path.node.nodes)
+      ? visitNodesAsync(path, visitor, state)
+      : Promise.resolve();
+
+    return children.then(function() {
+      if (state.stopped) return;
+      return visitor.leave(path).then(function(res) {
+        if (res === BREAK) {
+          state.stopped = true;
+        } else {
+          applyResult(path, res);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Asynchronously visit each node in `parentPath.node.nodes`, starting
+ * the `enter` visitors of following siblings early. Visitors started
+ * early are counted in `state.prefetching`, which is shared by all
+ * levels and kept below `state.concurrency`, leaving one slot for the
+ * visitor that is being awaited. Results are applied in order, and the
+ * index is synced after each node is visited, like `visitNodes`.
+ */
+
+function visitNodesAsync(parentPath, visitor, state) {
+  var parent = parentPath.node;
+  var pending = new Map();
+
+  function visitAt(i) {
+    var nodes = parent.nodes;
+    if (state.stopped || i >= nodes.length) {
+      return Promise.resolve();
+    }
+
+    var end = Math.min(i + state.concurrency, nodes.length);
+    for (var j = i; j < end; j++) {
+      if (pending.has(nodes[j])) continue;
+      if (j > i && state.prefetching >= state.concurrency - 1) break;
+      var path = assertDepth(new Path(nodes[j], parent, j, parentPath), state);
+      var entered = j > i ? prefetch(visitor, path, state) : visitor.enter(path);
+      entered.catch(function() {});
+      pending.set(nodes[j], { path: path, entered: entered });
+    }
+
+    var item = pending.get(nodes[i]);
+    pending.delete(nodes[i]);
+    syncIndex(item.path);
+    return visitPathAsync(item.path, item.entered, visitor, state)
+      .then(function() {
+        return visitAt(syncIndex(item.path) + (item.path.removed ? 0 : 1));
+      });
+  }
+
+  return visitAt(0);
+}
+
+/**
+ * Start the `enter` visitor of `path` before it is awaited, counting it
+ * in `state.prefetching` until it settles.
+ */
+
+function prefetch(visitor, path, state) {
+  var done = function() {
+    state.prefetching--;
+  };
+  state.prefetching++;
+  var entered = visitor.enter(path);
+  entered.then(done, done);
+  return entered;
+}
+
+/**
+ * Lazily yield `{node, parent, depth}` entries for `node` and its
+ * descendants in `state.order`. Child nodes are read when their parent
+ * is expanded, so changes made to `node.nodes` before then are reflected.
+ */
+
+function * walkEntries(node, state) {
+  var order = state.order;
+  var root = { node: node, parent: null, depth: 0 };
+  var children = function(entry) {
+    var nodes = isArray(entry.node.nodes) ? entry.node.nodes : [];
+    return nodes.map(function(child) {
+      return assertDepth({ node: child, parent: entry.node, depth: entry.depth + 1 }, state);
+    });
+  };
+
+  if (order === 'bfs') {
+    var queue = [root];
+    for (var i = 0; i < queue.length; i++) {
+      yield queue[i];
+      queue.push.apply(queue, children(queue[i]));
+    }
+    return;
+  }
+
+  if (order === 'post') {
+    var frames = [{ entry: root, expanded: false }];
+    while (frames.length) {
+      var frame = frames[frames.length - 1];
+      if (frame.expanded) {
+        frames.pop();
+        yield frame.entry;
+        continue;
+      }
+      frame.expanded = true;
+      children(frame.entry).reverse().forEach(function(entry) {
+        frames.push({ entry: entry, expanded: false });
+      });
+    }
+    return;
+  }
+
+  var stack = [root];
+  while (stack.length) {
+    var entry = stack.pop();
+    yield entry;
+    var nodes = children(entry);
+    stack.push.apply(stack, order === 'reverse' ? nodes : nodes.reverse());
+  }
+}
+
+/**
+ * Lazily yield the nodes in `nodes`, and their descendants in
+ * depth-first pre-order when `options.deep` is true.
+ */
+
+function * eachNode(nodes, options) {
+  if (!isArray(nodes)) return;
+  var deep = isObject(options) && options.deep === true;
+  for (var node of nodes) {
+    if (deep) {
+      yield * mapEntries(walkEntries(node, createVisitState()));
+    } else {
+      yield node;
+    }
+  }
+}
+
+/**
+ * Lazily yield the entries from `entries` that match `fn`.
+ */
+
+function * filterEntries(entries, fn) {
+  for (var entry of entries) {
+    if (fn(entry)) {
+      yield entry;
+    }
+  }
+}
+
+/**
+ * Lazily yield the nodes from `{node}` entries.
+ */
+
+function * mapEntries(entries) {
+  for (var entry of entries) {
+    yield entry.node;
+  }
+}
+
+/**
+ * Create a filter function from a [matcher](#matcher) spec. Matches
+ * all nodes when `filter` is undefined.
+ */
+
+function createFilter(filter) {
+  if (filter === undefined) {
+    return function() {
+      return true;
+    };
+  }
+  return utils.matcher(filter);
+}
+
+/**
+ * Remove or replace `path.node` based on the value returned by a
+ * visitor. Returns false if the node was removed.
+ */
+
+function applyResult(path, res) {
+  if (res === REMOVE) {
+    path.remove();
+  } else if (utils.isNode(res)) {
+    path.replaceWith(res);
+  }
+  return !path.removed;
+}
+
+/**
+ * Create the path for the node where traversal starts.
+ */
+
+function createPath(node) {
+  var parent = node.parent;
+  var idx = parent && isArray(parent.nodes) ? parent.nodes.indexOf(node) : -1;
+  return new Path(node, parent, idx, null);
+}
+
+/**
+ * Create a traversal path for `node`, exposing the node's `parent`,
+ * `index` in `parent.nodes`, `depth`, and `ancestors`, along with
+ * methods for modifying the tree while it's being visited.
+ */
+
+function Path(node, parent, index, parentPath) {
+  this.node = node;
+  this.parent = parent || null;
+  this.parentPath = parentPath || null;
+  define(this, 'lastIndex', index);
+  this.depth = parentPath ? parentPath.depth + 1 : 0;
+  this.removed = false;
+}
+
+/**
+ * Index of `path.node` in `parent.nodes`, kept up to date when the
+ * tree is modified without using path methods.
+ */
+
+Object.defineProperty(Path.prototype, 'index', {
+  get: function() {
+    return syncIndex(this);
+  }
+});
+
+/**
+ * Ancestor nodes of `path.node`, from the node where traversal
+ * started to `path.parent`.
+ */
+
+Object.defineProperty(Path.prototype, 'ancestors', {
+  get: function() {
+    var ancestors = [];
+    var path = this.parentPath;
+    while (path) {
+      ancestors.push(path.node);
+      path = path.parentPath;
+    }
+    return ancestors.reverse();
+  }
+});
+
+/**
+ * Replace `path.node` with the given `node`.
+ */
+
+Path.prototype.replaceWith = function(node) {
+  expect(node, 'node');
+  if (syncIndex(this) !== -1 && !this.removed) {
+    utils.replaceNode(this.parent, this.node, node);
+  }
+  this.node = node;
+  return node;
+};
+
+/**
+ * Remove `path.node` from `parent.nodes`.
+ */
+
+Path.prototype.remove = function() {
+  if (syncIndex(this) !== -1 && !this.removed) {
+    utils.removeNode(this.parent, this.node);
+  }
+  this.removed = true;
+  return this.node;
+};
+
+/**
+ * Insert `node` before `path.node`. The inserted node is not visited,
+ * except in `'reverse'` order, where it is visited after `path.node`.
+ */
+
+Path.prototype.insertBefore = function(node) {
+  assertAttached(this);
+  utils.insertBefore(this.parent, node, this.node);
+  syncIndex(this);
+  return node;
+};
+
+/**
+ * Insert `node` after `path.node`. The inserted node is visited
+ * after `path.node`, except in `'reverse'` and `'bfs'` order, where
+ * it is not visited.
+ */
+
+Path.prototype.insertAfter = function(node) {
+  assertAttached(this);
+  return utils.insertAfter(this.parent, node, this.node);
+};
+
+/**
+ * Throws an error if `path.node` is not in `parent.nodes`.
+ */
+
+function assertAttached(path) {
+  var idx = syncIndex(path);
+  assert(idx !== -1 && !path.removed, 'expected path.node to be in parent.nodes');
+}
+
+/**
+ * Get the current index of `path.node` in `parent.nodes`, in case the
+ * tree was modified without using path methods. Marks the path as
+ * removed when the node no longer exists, and returns its last index.
+ */
+
+function syncIndex(path) {
+  if (!path.parent || !isArray(path.parent.nodes)) {
+    return -1;
+  }
+  var nodes = path.parent.nodes;
+  if (nodes[path.lastIndex] === path.node) {
+    return path.lastIndex;
+  }
+  var idx = nodes.indexOf(path.node);
+  if (idx === -1) {
+    path.removed = true;
+  } else {
+    path.lastIndex = idx;
+  }
+  return path.lastIndex;
+}
+
+/**
+ * Create a rule for [rewrite](#rewrite) with a `match` function that
+ * checks the rule's type, selector and match function.
+ */
+
+function createRule(rule) {
+  assert(isObject(rule), 'expected rewrite rules to be objects');
+  assert(isFunction(rule.replace), 'expected rewrite rules to have a "replace" function');
+  var selector = rule.selector ? compileSelector(rule.selector) : null;
+  var type = rule.type !== undefined ? utils.matcher(rule.type) : null;
+  return {
+    match: function(node, path, ctx) {
+      if (type && !type(node)) return false;
+      if (selector && !selector(node, ctx)) return false;
+      return !isFunction(rule.match) || Boolean(rule.match.call(rule, node, path));
+    },
+    replace: function(node, path) {
+      return rule.replace.call(rule, node, path);
+    }
+  };
+}
+
+/**
+ * Apply the value returned by a [rewrite](#rewrite) rule to `path`, and
+ * return the result for [visit](#visit).
+ */
+
+function applyRewrite(path, res) {
+  assert(res === null || utils.isNode(res) || isArray(res), 'expected rewrite rules to return a node, an array of nodes, null or undefined');
+  if (utils.isNode(res)) {
+    return res === path.node ? undefined : res;
+  }
+
+  assert(path.parent, 'expected the root node to be replaced with a single node');
+  for (var node of res || []) {
+    path.insertBefore(node);
+  }
+  return REMOVE;
+}
+
+/**
+ * Create a string from the types, values and enumerable properties of
+ * `node` and its descendants, for detecting cycles in [rewrite](#rewrite).
+ */
+
+function fingerprint(node) {
+  var stack = [node];
+  var str = '';
+
+  while (stack.length) {
+    var item = stack.pop();
+    if (isString(item)) {
+      str += item;
+      continue;
+    }
+
+    str += item.type + ':' + JSON.stringify(utils.value(item) || '');
+    for (var key of Object.keys(item)) {
+      var val = item[key];
+      if (/^(type|value|val|nodes)$/.test(key) || isFunction(val) || utils.isNode(val)) continue;
+      str += ';' + key + '=' + JSON.stringify(val);
+    }
+    if (isArray(item.nodes)) {
+      str += '(';
+      stack.push(')');
+      for (var i = item.nodes.length - 1; i >= 0; i--) {
+        stack.push(item.nodes[i]);
+        if (i > 0) stack.push(',');
+      }
+    }
+  }
+  return str;
+}
+
+/**
+ * Get the nodes that match the compiled selector `match` from `node`
+ * and its descendants. Ancestors and siblings are resolved from the
+ * traversal, so combinators only consider nodes inside `node`.
+ */
+
+function queryNodes(node, match, first, self) {
+  expect(node, 'node');
+  var parents = new Map();
+  var ctx = {
+    parent: function(child) {
+      return parents.get(child) || null;
+    }
+  };
+
+  var matches = [];
+  utils.visit(node, function(child, path) {
+    parents.set(child, path.parentPath ? path.parent : null);
+    if ((self || path.parentPath) && match(child, ctx)) {
+      matches.push(child);
+      if (first) return BREAK;
+    }
+  });
+  return matches;
+}
+
+/**
+ * Compile a CSS-style `selector` into a function that takes a node and
+ * a query context. The most recently compiled selectors are cached.
+ */
+
+function compileSelector(selector) {
+  assert(isString(selector) && selector.trim() !== '', 'expected selector to be a non-empty string');
+  if (selectorCache.has(selector)) {
+    return selectorCache.get(selector);
+  }
+
+  var state = { input: selector, pos: 0 };
+  var match = parseSelectorList(state);
+  eat(state, /^\s+/);
+  if (state.pos < selector.length) {
+    throw selectorError(state);
+  }
+
+  if (selectorCache.size >= MAX_SELECTORS) {
+    selectorCache.delete(selectorCache.keys().next().value);
+  }
+  selectorCache.set(selector, match);
+  return match;
+}
+
+/**
+ * Parse a comma-separated list of selectors.
+ */
+
+function parseSelectorList(state) {
+  var matchers = [parseComplexSelector(state)];
+  while (eat(state, /^\s*,/)) {
+    matchers.push(parseComplexSelector(state));
+  }
+
+  if (matchers.length === 1) {
+    return matchers[0];
+  }
+
+  return function(node, ctx) {
+    for (var i = 0; i < matchers.length; i++) {
+      if (matchers[i](node, ctx)) {
+        return true;
+      }
+    }
+    return false;
+  };
+}
+
+/**
+ * Parse compound selectors joined by combinators.
+ */
+
+function parseComplexSelector(state) {
+  eat(state, /^\s+/);
+  var match = parseCompoundSelector(state);
+  var m;
+
+  while ((m = eat(state, /^\s*([>+~])\s*|^\s+(?=[^\s,)])/))) {
+    match = combineSelectors(match, m[1] || ' ', parseCompoundSelector(state));
+  }
+  return match;
+}
+
+/**
+ * Parse a type selector followed by attribute predicates and pseudo-classes.
+ */
+
+function parseCompoundSelector(state) {
+  var tests = [];
+  var type = eat(state, /^(\*|[\w.-]+)/);
+  var m;
+
+  if (type && type[1] !== '*') {
+    tests.push(typeSelector(type[1]));
+  }
+
+  while (true) {
+    if ((m = eat(state, /^\[\s*([\w.-]+)\s*(?:([!^$*]?=)\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\]\s]*))\s*)?\]/))) {
+      var value = m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : m[5];
+      tests.push(attributeSelector(m[1], m[2], unescapeValue(value)));
+    } else if ((m = eat(state, /^:([\w-]+)/))) {
+      tests.push(pseudoSelector(state, m[1]));
+    } else {
+      break;
+    }
+  }
+
+  if (!type && tests.length === 0) {
+    throw selectorError(state);
+  }
+
+  return function(node, ctx) {
+    for (var i = 0; i < tests.length; i++) {
+      if (!tests[i](node, ctx)) {
+        return false;
+      }
+    }
+    return true;
+  };
+}
+
+/**
+ * Match `node.type` against a type selector.
+ */
+
+function typeSelector(type) {
+  return function(node) {
+    return node.type === type;
+  };
+}
+
+/**
+ * Match an attribute predicate. The `value` attribute uses [value](#value).
+ */
+
+function attributeSelector(name, operator, expected) {
+  return function(node) {
+    var actual = name === 'value' ? utils.value(node) : node[name];
+    if (!operator) {
+      return actual !== undefined && actual !== null;
+    }
+    if (operator === '!=') {
+      return actual === undefined || actual === null || String(actual) !== expected;
+    }
+    if (actual === undefined || actual === null) {
+      return false;
+    }
+
+    actual = String(actual);
+    switch (operator) {
+      case '=':
+        return actual === expected;
+      case '^=':
+        return actual.slice(0, expected.length) === expected;
+      case '$=':
+        return actual.slice(actual.length - expected.length) === expected;
+      case '*=':
+      default: {
+        return actual.indexOf(expected) !== -1;
+      }
+    }
+  };
+}
+
+/**
+ * Match a pseudo-class, parsing the selector argument of `:has()` and `:not()`.
+ */
+
+function pseudoSelector(state, name) {
+  switch (name) {
+    case 'first':
+    case 'first-child':
+      return function(node, ctx) {
+        return siblingsOf(node, ctx)[0] === node;
+      };
+    case 'last':
+    case 'last-child':
+      return function(node, ctx) {
+        return utils.last(siblingsOf(node, ctx)) === node;
+      };
+    case 'first-of-type':
+      return function(node, ctx) {
+        return utils.firstOfType(siblingsOf(node, ctx), node.type) === node;
+      };
+    case 'last-of-type':
+      return function(node, ctx) {
+        return utils.lastOfType(siblingsOf(node, ctx), node.type) === node;
+      };
+    case 'empty':
+      return function(node) {
+        return utils.isEmpty(node);
+      };
+    case 'block':
+      return function(node) {
+        return utils.isBlock(node);
+      };
+    case 'has':
+    case 'not': {
+      if (!eat(state, /^\(/)) {
+        throw selectorError(state, 'expected "(" after ":' + name + '"');
+      }
+      var inner = parseSelectorList(state);
+      if (!eat(state, /^\s*\)/)) {
+        throw selectorError(state, 'expected ")"');
+      }
+      if (name === 'not') {
+        return function(node, ctx) {
+          return !inner(node, ctx);
+        };
+      }
+      return function(node) {
+        return queryNodes(node, inner, true, false).length > 0;
+      };
+    }
+    default: {
+      throw selectorError(state, 'unsupported pseudo-class ":' + name + '"');
+    }
+  }
+}
+
+/**
+ * Combine the selector on the `left` of a combinator with the selector
+ * on the `right`, which must match the node itself.
+ */
+
+function combineSelectors(left, combinator, right) {
+  return function(node, ctx) {
+    if (!right(node, ctx)) return false;
+    var parent = ctx.parent(node);
+
+    switch (combinator) {
+      case '>':
+        return parent !== null && left(parent, ctx);
+      case ' ':
+        while (parent) {
+          if (left(parent, ctx)) return true;
+          parent = ctx.parent(parent);
+        }
+        return false;
+      case '+': {
+        var siblings = siblingsOf(node, ctx);
+        var idx = siblings.indexOf(node);
+        return idx > 0 && left(siblings[idx - 1], ctx);
+      }
+      case '~':
+      default: {
+        var prev = siblingsOf(node, ctx);
+        for (var i = prev.indexOf(node) - 1; i >= 0; i--) {
+          if (left(prev[i], ctx)) return true;
+        }
+        return false;
+      }
+    }
+  };
+}
+
+/**
+ * Get the siblings of `node` (including `node`) from a query context.
+ */
+
+function siblingsOf(node, ctx) {
+  var parent = ctx.parent(node);
+  return parent && isArray(parent.nodes) ? parent.nodes : [node];
+}
+
+/**
+ * Advance the selector parser if `regex` matches at the current position.
+ */
+
+function eat(state, regex) {
+  var m = regex.exec(state.input.slice(state.pos));
+  if (m) state.pos += m[0].length;
+  return m;
+}
+
+/**
+ * Remove backslash escapes from a quoted attribute value.
+ */
+
+function unescapeValue(str) {
+  return typeof str === 'string' ? str.replace(/\\(.)/g, '$1') : str;
+}
+
+/**
+ * Create a `SyntaxError` for an invalid selector.
+ */
+
+function selectorError(state, message) {
+  var msg = message || 'unexpected "' + state.input.charAt(state.pos) + '"';
+  return new SyntaxError('invalid selector "' + state.input + '": ' + msg + ' at position ' + state.pos);
+}
+
+/**
+ * Insert `node` into `parent.nodes` at the index of `sibling` plus `offset`.
+ */
+
+function insertNode(parent, node, sibling, offset) {
+  if (!parent.nodes) return;
+  var idx = parent.nodes.indexOf(sibling);
+  if (idx !== -1) {
+    defineParent(node, parent);
+    parent.nodes.splice(idx + offset, 0, node);
+    return node;
+  }
+}
+
+/**
+ * Clone plain objects, arrays and positions (objects with `start` and
+ * `end` points, like snapdragon's `Position`). Other values, including
+ * nodes that are not in `node.nodes`, are returned as-is.
+ */
+
+function cloneValue(value) {
+  if (isArray(value)) {
+    return value.map(cloneValue);
+  }
+  if (isObject(value) && !utils.isNode(value) && (isPlainObject(value) || isPosition(value))) {
+    var obj = Object.create(Object.getPrototypeOf(value));
+    for (var key of Object.keys(value)) {
+      obj[key] = cloneValue(value[key]);
+    }
+    return obj;
+  }
+  return value;
+}
+
+/**
+ * Compare values for [isEqual](#isEqual), excluding `ignore`d keys
+ * and functions.
+ */
+
+function isEqualValue(a, b, ignore) {
+  var stack = [[a, b]];
+
+  while (stack.length) {
+    var pair = stack.pop();
+    var x = pair[0];
+    var y = pair[1];
+    if (x === y) continue;
+
+    if (isArray(x)) {
+      if (!isArray(y) || x.length !== y.length) return false;
+      for (var i = 0; i < x.length; i++) {
+        stack.push([x[i], y[i]]);
+      }
+      continue;
+    }
+
+    if (!isObject(x) || !isObject(y)) {
+      return false;
+    }
+
+    var keys = new Set(Object.keys(x).concat(Object.keys(y)));
+    if ((x.position || y.position) && utils.isNode(x) && utils.isNode(y)) {
+      keys.add('position');
+    }
+    for (var key of keys) {
+      if (ignore.indexOf(key) !== -1) continue;
+      if (isFunction(x[key]) || isFunction(y[key])) continue;
+      stack.push([x[key], y[key]]);
+    }
+  }
+  return true;
+}
+
+/**
+ * Create a node from an object created by [toJSON](#toJSON).
+ */
+
+function reviveNode(obj, Node) {
+  return copyTree(obj, function(child, parent) {
+    assert(isString(child.type), 'expected node.type to be a string');
+    var node = new Node({ type: child.type });
+
+    for (var key of Object.keys(child)) {
+      if (key !== 'nodes' && key !== 'position') {
+        node[key] = cloneValue(child[key]);
+      }
+    }
+
+    if (child.position) {
+      define(node, 'position', cloneValue(child.position));
+    }
+    if (parent) defineParent(node, parent);
+    return node;
+  });
+}
+
+/**
+ * Copy `node` and its child nodes with `copy(node, parentCopy)`.
+ */
+
+function copyTree(node, copy) {
+  var root = copy(node, null);
+  var stack = [{ node: node, copy: root }];
+
+  while (stack.length) {
+    var item = stack.pop();
+    if (!isArray(item.node.nodes)) continue;
+
+    item.copy.nodes = [];
+    for (var child of item.node.nodes) {
+      var res = copy(child, item.copy);
+      item.copy.nodes.push(res);
+      stack.push({ node: child, copy: res });
+    }
+  }
+  return root;
+}
+
+/**
+ * Clone `node` without its child nodes for [cloneNode](#cloneNode).
+ */
+
+function cloneShallow(node, options) {
+  var Ctor = options.Node || node.constructor;
+  var clone = isFunction(Ctor) && Ctor !== Object ? new Ctor({ type: node.type }) : {};
+
+  for (var key of Object.keys(node)) {
+    if (key !== 'nodes' && key !== 'parent') {
+      clone[key] = cloneValue(node[key]);
+    }
+  }
+
+  if (node.position && !clone.hasOwnProperty('position')) {
+    define(clone, 'position', cloneValue(node.position));
+  }
+  return clone;
+}
+
+/**
+ * Create the label for a single node for [inspect](#inspect), where
+ * `empty` is the set of empty nodes from `findEmptyNodes`.
+ */
+
+function inspectNode(node, options, empty) {
+  var label = String(node.type);
+  var value = utils.value(node);
+
+  if (options.values && value !== undefined) {
+    label += ' ' + JSON.stringify(value);
+  }
+
+  if (utils.isOpen(node)) {
+    label += ' [open]';
+  } else if (utils.isClose(node)) {
+    label += ' [close]';
+  } else if (utils.isNode(node) && empty.has(node)) {
+    label += ' (empty)';
+  }
+
+  var pos = node.position;
+  if (options.positions && pos && pos.start && pos.end) {
+    label += ' ' + pos.start.line + ':' + pos.start.column + '-' + pos.end.line + ':' + pos.end.column;
+  }
+  return label;
+}
+
+/**
+ * Get the set of nodes in `node` for which [isEmpty](#isEmpty) returns
+ * true. Child nodes are checked first using an explicit stack, so each
+ * node is only checked once.
+ */
+
+function findEmptyNodes(node) {
+  var stack = [{ node: node, expanded: false }];
+  var empty = new Set();
+
+  while (stack.length) {
+    var item = stack.pop();
+    var nodes = item.node.nodes;
+    if (!isArray(nodes)) {
+      if (!utils.value(item.node)) empty.add(item.node);
+    } else if (!item.expanded) {
+      item.expanded = true;
+      stack.push(item);
+      for (var child of nodes) {
+        stack.push({ node: child, expanded: false });
+      }
+    } else if (nodes.every(function(child) {
+      return empty.has(child);
+    })) {
+      empty.add(item.node);
+    }
+  }
+  return empty;
+}
+
+/**
+ * Get `node.position.start`, or null if the node does not have a position.
+ */
+
+function startOf(node) {
+  return node && node.position && node.position.start ? node.position.start : null;
+}
+
+/**
+ * Get `node.position.end`, or null if the node does not have a position.
+ */
+
+function endOf(node) {
+  return node && node.position && node.position.end ? node.position.end : null;
+}
+
+/**
+ * Create a `position` object with copies of the given points.
+ */
+
+function createPosition(start, end) {
+  return { start: copyPoint(start), end: copyPoint(end) };
+}
+
+/**
+ * Copy the `line`, `column` and `offset` of a point.
+ */
+
+function copyPoint(point) {
+  var res = { line: point.line, column: point.column };
+  if (typeof point.offset === 'number') {
+    res.offset = point.offset;
+  }
+  return res;
+}
+
+/**
+ * Define `node.position` from the given points, if the node does
+ * not already have a position. Creates a zero-width position when
+ * only `start` is given.
+ */
+
+function inheritPosition(node, start, end) {
+  if (start && !node.position) {
+    define(node, 'position', createPosition(start, end || start));
+  }
+}
+
+/**
+ * Get the point after `value`, when `value` starts at `point`.
+ */
+
+function advance(point, value) {
+  var str = value ? String(value) : '';
+  var lines = str.split('\n');
+  var res = copyPoint(point);
+  if (lines.length > 1) {
+    res.line += lines.length - 1;
+    res.column = lines[lines.length - 1].length + 1;
+  } else {
+    res.column += str.length;
+  }
+  if (typeof res.offset === 'number') {
+    res.offset += str.length;
+  }
+  return res;
+}
+
+/**
+ * Get the point before `value`, when `value` ends at `point`. Returns
+ * a copy of `point` when `value` contains a newline.
+ */
+
+function retreat(point, value) {
+  var str = value ? String(value) : '';
+  var res = copyPoint(point);
+  if (str.indexOf('\n') === -1) {
+    res.column -= str.length;
+    if (typeof res.offset === 'number') {
+      res.offset -= str.length;
+    }
+  }
+  return res;
+}
+
+/**
+ * Compare points by offset, or by line and column.
+ */
+
+function comparePoints(a, b) {
+  if (typeof a.offset === 'number' && typeof b.offset === 'number') {
+    return a.offset - b.offset;
+  }
+  return (a.line - b.line) || (a.column - b.column);
+}
+
+/**
+ * Get the cached index of node ranges for [nodeAt](#nodeAt) (`offset`
+ * mode) or [nodeAtPosition](#nodeAtPosition) (`line` mode), creating
+ * it if necessary.
+ */
+
+function getNodeIndex(node, mode) {
+  var cache = nodeIndexCache.get(node);
+  if (!cache) {
+    cache = {};
+    nodeIndexCache.set(node, cache);
+  }
+  if (!cache[mode]) {
+    cache[mode] = createNodeIndex(node, mode);
+  }
+  return cache[mode];
+}
+
+/**
+ * Create a list of node ranges sorted by start, where `maxEnd` is
+ * the greatest end of the current and all previous ranges. This
+ * allows lookups to stop once no earlier range can contain a point.
+ */
+
+function createNodeIndex(node, mode) {
+  var compare = mode === 'offset' ? compareOffsets : compareLines;
+  var entries = [];
+  var skipped = 0;
+
+  utils.visit(node, function(child, path) {
+    var start = startOf(child);
+    var end = endOf(child);
+    if (!start || !end) return;
+
+    if (mode === 'offset') {
+      if (typeof start.offset !== 'number' || typeof end.offset !== 'number') {
+        skipped++;
+        return;
+      }
+      start = start.offset;
+      end = end.offset;
+    }
+    entries.push({ node: child, path: path, depth: path.depth, start: start, end: end });
+  });
+
+  assert(entries.length > 0 || skipped === 0, 'expected node positions to have offsets, use nodeAtPosition for line and column positions');
+
+  entries.sort(function(a, b) {
+    return compare(a.start, b.start) || (a.depth - b.depth);
+  });
+
+  var maxEnd = null;
+  for (var entry of entries) {
+    if (maxEnd === null || compare(entry.end, maxEnd) > 0) {
+      maxEnd = entry.end;
+    }
+    entry.maxEnd = maxEnd;
+  }
+  return { compare: compare, entries: entries };
+}
+
+/**
+ * Find the deepest entry in a node index that contains `point`.
+ */
+
+function findInIndex(index, point) {
+  var compare = index.compare;
+  var entries = index.entries;
+  var lo = 0;
+  var hi = entries.length - 1;
+  var idx = -1;
+
+  while (lo <= hi) {
+    var mid = (lo + hi) >> 1;
+    if (compare(entries[mid].start, point) <= 0) {
+      idx = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  var best = null;
+  for (var i = idx; i >= 0 && compare(entries[i].maxEnd, point) > 0; i--) {
+    var entry = entries[i];
+    if (compare(entry.end, point) > 0 && (!best || entry.depth > best.depth)) {
+      best = entry;
+    }
+  }
+  return best ? { node: best.node, ancestors: best.path.ancestors } : null;
+}
+
+/**
+ * Compare offsets or line/column points for the node index.
+ */
+
+function compareOffsets(a, b) {
+  return a - b;
+}
+
+function compareLines(a, b) {
+  return (a.line - b.line) || (a.column - b.column);
+}
+
+/**
+ * Create a scope for a block node, or for the `*.open` or `*.close`
+ * node of a block.
+ */
+
+function createScope(node) {
+  if (utils.isOpen(node) || utils.isClose(node)) {
+    var parent = node.parent;
+    var type = node.type.replace(/\.(open|close)$/, '');
+    if (type === node.type && parent) {
+      type = parent.type;
+    }
+    return { type: type, node: parent && parent.type === type ? parent : node };
+  }
+  return { type: node.type, node: node };
+}
+
+/**
+ * Wrap a compiler or parser handler for [trackScopes](#trackScopes).
+ * Compiler handlers are called with a node, and the scope for an
+ * `*.open` node is entered before the handler is called. Parser handlers
+ * return a node, which is handled after the handler is called.
+ */
+
+function trackScopes(fn) {
+  if (!isFunction(fn)) return fn;
+
+  return function(node) {
+    var state = this.state;
+    var isOpen = utils.isNode(node) && utils.isOpen(node);
+    if (isOpen) {
+      enterOpenScope(state, node);
+    }
+
+    var res = fn.apply(this, arguments);
+    var tok = utils.isNode(res) ? res : node;
+    if (!utils.isNode(tok)) {
+      return res;
+    }
+
+    if (utils.isOpen(tok)) {
+      if (!isOpen) enterOpenScope(state, tok);
+      return res;
+    }
+
+    if (utils.isClose(tok)) {
+      var scope = utils.currentScope(state);
+      var type = createScope(tok).type;
+      if (!scope || scope.type !== type) {
+        var message = scope
+          ? 'unexpected "' + tok.type + '", expected "' + scope.type + '.close"'
+          : 'unexpected "' + tok.type + '", no "' + type + '" is open';
+        if (!isFunction(this.error)) {
+          throw new Error(message);
+        }
+        this.error(message, tok);
+        return res;
+      }
+      utils.exitScope(state);
+    }
+    return res;
+  };
+}
+
+/**
+ * Enter the scope for an `*.open` node. Compilers that already add the
+ * open node to `state.inside` (snapdragon's `Compiler#visit` does) only
+ * need the scope pushed onto `state.scopes`.
+ */
+
+function enterOpenScope(state, node) {
+  var scope = createScope(node);
+  var inside = state.inside && state.inside[scope.type];
+  if (!isArray(inside) || utils.last(inside) !== node) {
+    return utils.enterScope(state, node);
+  }
+  if (!state.hasOwnProperty('scopes')) {
+    state.scopes = [];
+  }
+  state.scopes.push(scope);
+  return scope;
+}
+
+/**
+ * Add operations to `ops` for turning `a` into `b`.
+ */
+
+function diffNodes(a, b, ops) {
+  var frame = diffFrame(a, b, null, null, ops);
+  var stack = frame ? [frame] : [];
 
-  var type = node.parent
-    ? node.parent.type
-    : node.type.replace(/\.open$/, '');
+  while (stack.length) {
+    frame = stack[stack.length - 1];
+    var aNodes = frame.aNodes;
+    var bNodes = frame.bNodes;
+    var table = frame.table;
+    var i = frame.i;
+    var j = frame.j;
 
-  if (!state.hasOwnProperty('inside')) {
-    state.inside = {};
+    if (i === aNodes.length && j === bNodes.length) {
+      stack.pop();
+    } else if (i < aNodes.length && j < bNodes.length && aNodes[i].type === bNodes[j].type
+      && table[i][j] === table[i + 1][j + 1] + 1) {
+      var child = diffFrame(aNodes[frame.i++], bNodes[frame.j++], frame, frame.idx++, ops);
+      if (child) stack.push(child);
+    } else if (j < bNodes.length && (i === aNodes.length || table[i][j + 1] >= table[i + 1][j])) {
+      ops.push({ op: 'insert', path: diffPath(frame, frame.idx++), node: bNodes[frame.j++] });
+    } else {
+      ops.push({ op: 'remove', path: diffPath(frame, frame.idx) });
+      frame.i++;
+    }
   }
-  if (!state.inside.hasOwnProperty(type)) {
-    state.inside[type] = [];
+}
+
+/**
+ * Add replace or update operations for turning `a` into `b`, where `a`
+ * is at index `idx` of the `parent` frame. Returns a frame for diffing
+ * the child nodes, or null when `a` is replaced.
+ */
+
+function diffFrame(a, b, parent, idx, ops) {
+  var frame = { parent: parent, index: idx };
+  if (a.type !== b.type || !canDiffNodes(a, b)) {
+    ops.push({ op: 'replace', path: diffPath(parent, idx), node: b });
+    return null;
   }
 
-  var arr = state.inside[type];
-  arr.push(node);
-  return arr;
-};
+  if (utils.value(a) !== utils.value(b)) {
+    ops.push({ op: 'update', path: diffPath(parent, idx), value: utils.value(b) });
+  }
+
+  frame.aNodes = isArray(a.nodes) ? a.nodes : [];
+  frame.bNodes = isArray(b.nodes) ? b.nodes : [];
+  frame.table = lcsTable(frame.aNodes, frame.bNodes);
+  frame.i = 0;
+  frame.j = 0;
+  frame.idx = 0;
+  return frame;
+}
 
 /**
- * Remove the given `node` from the `state.inside` array for the
- * given type. This array is used as a specialized "stack" for
- * only the given `node.type`.
- *
- * ```js
- * var state = { inside: {}};
- * var node = new Node({type: 'brace'});
- * utils.addType(state, node);
- * console.log(state.inside);
- * //=> { brace: [{type: 'brace'}] }
- * utils.removeType(state, node);
- * //=> { brace: [] }
- * ```
- * @param {Object} `state` The `compiler.state` object or custom state object.
- * @param {Object} `node` Instance of [snapdragon-node][]
- * @return {Array} Returns the `state.inside` stack for the given type.
- * @api public
+ * Get the path to index `idx` of the node diffed by `frame`.
  */
 
-utils.removeType = function(state, node) {
-  assert(utils.isNode(node), 'expected node to be an instance of Node');
-  assert(isObject(state), 'expected state to be an object');
+function diffPath(frame, idx) {
+  var path = [];
+  if (!frame) return path;
+  path.push(idx);
+  for (var f = frame; f.parent; f = f.parent) {
+    path.push(f.index);
+  }
+  return path.reverse();
+}
 
-  var type = node.parent
-    ? node.parent.type
-    : node.type.replace(/\.close$/, '');
+/**
+ * Returns false when insert and remove operations can't turn `a.nodes`
+ * into `b.nodes`, because one of them is missing. Inserting a node
+ * creates the `nodes` array, but no operation removes it.
+ */
 
-  if (state.inside.hasOwnProperty(type)) {
-    return state.inside[type].pop();
+function canDiffNodes(a, b) {
+  if (isArray(a.nodes)) {
+    return isArray(b.nodes);
   }
-};
+  return !isArray(b.nodes) || b.nodes.length > 0;
+}
 
 /**
- * Returns true if `node.value` is an empty string, or `node.nodes` does
- * not contain any non-empty text nodes.
- *
- * ```js
- * var node = new Node({type: 'text'});
- * utils.isEmpty(node); //=> true
- * node.value = 'foo';
- * utils.isEmpty(node); //=> false
- * ```
- * @param {Object} `node` Instance of [snapdragon-node][]
- * @param {Function} `fn`
- * @return {Boolean}
- * @api public
+ * Create a table with the length of the longest common subsequence of
+ * node types for each suffix of `a` and `b`.
  */
 
-utils.isEmpty = function(node, fn) {
-  assert(utils.isNode(node), 'expected node to be an instance of Node');
+function lcsTable(a, b) {
+  var table = [];
+  for (var i = a.length; i >= 0; i--) {
+    table[i] = [];
+    for (var j = b.length; j >= 0; j--) {
+      if (i === a.length || j === b.length) {
+        table[i][j] = 0;
+      } else if (a[i].type === b[j].type) {
+        table[i][j] = table[i + 1][j + 1] + 1;
+      } else {
+        table[i][j] = Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+  }
+  return table;
+}
 
-  if (!Array.isArray(node.nodes)) {
-    if (typeof fn === 'function') {
-      return fn(node);
+/**
+ * Get the parent of the node at `path` for [patch](#patch).
+ */
+
+function resolvePath(node, path) {
+  var res = node;
+  for (var idx of path.slice(0, -1)) {
+    res = isArray(res.nodes) ? res.nodes[idx] : null;
+    if (!utils.isNode(res)) {
+      throw new Error('expected a node at path [' + path + ']');
     }
-    return !utils.value(node);
   }
+  return res;
+}
 
-  if (node.nodes.length === 0) {
-    return true;
+/**
+ * Set `node.value`, or `node.val` when the node uses `val`.
+ */
+
+function setValue(node, value) {
+  if (typeof node.value !== 'string' && node.val !== undefined) {
+    node.val = value;
+  } else {
+    node.value = value;
   }
+}
 
-  for (const child of node.nodes) {
-    if (!utils.isEmpty(child, fn)) {
-      return false;
-    }
+/**
+ * Define a non-enumerable property on `node`, using `node.define`
+ * when it exists.
+ */
+
+function define(node, key, value) {
+  if (isFunction(node.define)) {
+    node.define(key, value);
+  } else {
+    Object.defineProperty(node, key, {
+      configurable: true,
+      enumerable: false,
+      writable: true,
+      value: value
+    });
   }
+}
 
-  return true;
-};
+/**
+ * Set `parent` as the non-enumerable `node.parent` property.
+ */
+
+function defineParent(node, parent) {
+  define(node, 'parent', parent);
+}
 
 /**
- * Returns true if the `state.inside` stack for the given type exists
- * and has one or more nodes on it.
- *
- * ```js
- * var state = { inside: {}};
- * var node = new Node({type: 'brace'});
- * console.log(utils.isInsideType(state, 'brace')); //=> false
- * utils.addType(state, node);
- * console.log(utils.isInsideType(state, 'brace')); //=> true
- * utils.removeType(state, node);
- * console.log(utils.isInsideType(state, 'brace')); //=> false
- * ```
- * @param {Object} `state`
- * @param {String} `type`
- * @return {Boolean}
- * @api public
+ * Minimal compiler used by [render](#render).
  */
 
-utils.isInsideType = function(state, type) {
-  assert(isObject(state), 'expected state to be an object');
-  assert(isString(type), 'expected type to be a string');
+function Renderer(handlers) {
+  this.handlers = handlers || {};
+  this.state = {};
+  this.output = '';
+}
 
-  if (!state.hasOwnProperty('inside')) {
-    return false;
-  }
+/**
+ * Append `value` to `renderer.output`.
+ */
 
-  if (!state.inside.hasOwnProperty(type)) {
-    return false;
-  }
+Renderer.prototype.emit = function(value, node) {
+  var str = value === undefined || value === null ? '' : String(value);
+  this.output += str;
+  return str;
+};
 
-  return state.inside[type].length > 0;
+/**
+ * Render `node` with the handler for `node.type`, or render its child
+ * nodes or value when no handler is registered.
+ */
+
+Renderer.prototype.visit = function(node) {
+  renderNodes(this, [node]);
+  return node;
 };
 
 /**
- * Returns true if `node` is either a child or grand-child of the given `type`,
- * or `state.inside[type]` is a non-empty array.
- *
- * ```js
- * var state = { inside: {}};
- * var node = new Node({type: 'brace'});
- * var open = new Node({type: 'brace.open'});
- * console.log(utils.isInside(state, open, 'brace')); //=> false
- * utils.pushNode(node, open);
- * console.log(utils.isInside(state, open, 'brace')); //=> true
- * ```
- * @param {Object} `state` Either the `compiler.state` object, if it exists, or a user-supplied state object.
- * @param {Object} `node` Instance of [snapdragon-node][]
- * @param {String} `type` The `node.type` to check for.
- * @return {Boolean}
- * @api public
+ * Render each node in `node.nodes`.
  */
 
-utils.isInside = function(state, node, type) {
-  assert(utils.isNode(node), 'expected node to be an instance of Node');
-  assert(isObject(state), 'expected state to be an object');
+Renderer.prototype.mapVisit = function(node) {
+  renderNodes(this, node.nodes);
+  return node;
+};
 
-  if (Array.isArray(type)) {
-    for (var i = 0; i < type.length; i++) {
-      if (utils.isInside(state, node, type[i])) {
-        return true;
-      }
-    }
-    return false;
-  }
+/**
+ * Render `nodes` and their child nodes for a [Renderer](#render).
+ */
 
-  var parent = node.parent;
-  if (typeof type === 'string') {
-    return (parent && parent.type === type) || utils.isInsideType(state, type);
-  }
+function renderNodes(renderer, nodes) {
+  var stack = [{ node: null, nodes: nodes, index: 0 }];
 
-  if (typeOf(type) === 'regexp') {
-    if (parent && parent.type && type.test(parent.type)) {
-      return true;
+  while (stack.length) {
+    var frame = stack[stack.length - 1];
+    if (frame.index >= frame.nodes.length) {
+      stack.pop();
+      if (frame.node) leaveRenderedNode(renderer, frame.node);
+      continue;
     }
 
-    var keys = Object.keys(state.inside);
-    var len = keys.length;
-    var idx = -1;
-    while (++idx < len) {
-      var key = keys[idx];
-      var value = state.inside[key];
+    var node = frame.nodes[frame.index++];
+    if (utils.isOpen(node)) {
+      utils.enterScope(renderer.state, node);
+    }
 
-      if (Array.isArray(value) && value.length !== 0 && type.test(key)) {
-        return true;
+    var fn = renderer.handlers.hasOwnProperty(node.type) ? renderer.handlers[node.type] : null;
+    if (isFunction(fn)) {
+      var res = fn.call(renderer, node);
+      if (isString(res)) {
+        append(renderer, res, node);
       }
+    } else if (isArray(node.nodes)) {
+      stack.push({ node: node, nodes: node.nodes, index: 0 });
+      continue;
+    } else {
+      append(renderer, utils.value(node), node);
     }
+    leaveRenderedNode(renderer, node);
   }
-  return false;
-};
+}
 
 /**
- * Get the last `n` element from the given `array`. Used for getting
- * a node from `node.nodes.`
- *
- * @param {Array} `array`
- * @param {Number} `n`
- * @return {undefined}
- * @api public
+ * Exit the scope of `*.close` nodes after they are rendered.
  */
 
-utils.last = function(arr, n) {
-  return Array.isArray(arr) ? arr[arr.length - (n || 1)] : null;
-};
+function leaveRenderedNode(renderer, node) {
+  if (utils.isClose(node)) {
+    utils.exitScope(renderer.state, node);
+  }
+}
 
-utils.lastNode = function(node) {
-  return Array.isArray(node.nodes) ? utils.last(node.nodes) : null;
+/**
+ * Collects mappings for [createSourceMap](#createSourceMap).
+ */
+
+function SourceMap(compiler, options) {
+  var opts = Object.assign({}, options);
+  var defaults = compiler.options || {};
+  this.compiler = compiler;
+  this.file = opts.file;
+  this.source = opts.source || defaults.source || 'string';
+  this.sourceContent = opts.sourceContent;
+  this.reset();
+}
+
+/**
+ * Remove all mappings and start tracking the generated position
+ * from the beginning of the output.
+ */
+
+SourceMap.prototype.reset = function() {
+  this.mappings = [];
+  this.sources = [];
+  this.generated = { line: 1, column: 1, offset: 0 };
 };
 
 /**
- * Cast the given `value` to an array.
- *
- * ```js
- * console.log(utils.arrayify(''));
- * //=> []
- * console.log(utils.arrayify('foo'));
- * //=> ['foo']
- * console.log(utils.arrayify(['foo']));
- * //=> ['foo']
- * ```
- * @param {any} `value`
- * @return {Array}
- * @api public
+ * Record a mapping for `value`, which is about to be appended to the
+ * output for `node`.
  */
 
-utils.arrayify = function(value) {
-  if (typeof value === 'string' && value !== '') {
-    return [value];
+SourceMap.prototype.add = function(value, node) {
+  var output = this.compiler.output;
+  var str = value === undefined || value === null ? '' : String(value);
+
+  if (isString(output)) {
+    if (output.length < this.generated.offset) this.reset();
+    this.generated = advance(this.generated, output.slice(this.generated.offset));
   }
-  if (!Array.isArray(value)) {
-    return [];
+
+  var start = startOf(node);
+  if (str !== '' && start && typeof start.line === 'number' && typeof start.column === 'number') {
+    var source = node.position.source || this.source;
+    if (this.sources.indexOf(source) === -1) {
+      this.sources.push(source);
+    }
+
+    this.mappings.push({
+      generatedLine: this.generated.line - 1,
+      generatedColumn: this.generated.column - 1,
+      source: this.sources.indexOf(source),
+      originalLine: start.line - 1,
+      originalColumn: Math.max(start.column - 1, 0)
+    });
+  }
+
+  if (!isString(output)) {
+    this.generated = advance(this.generated, str);
   }
-  return value;
 };
 
 /**
- * Convert the given `value` to a string by joining with `,`. Useful
- * for creating a cheerio/CSS/DOM-style selector from a list of strings.
- *
- * @param {any} `value`
- * @return {Array}
- * @api public
+ * Returns the source map as a v3 source map object.
  */
 
-utils.stringify = function(value) {
-  return utils.arrayify(value).join(',');
+SourceMap.prototype.toJSON = function() {
+  var map = { version: 3 };
+  if (this.file) map.file = this.file;
+  map.sources = this.sources.slice();
+  if (this.sourceContent !== undefined) {
+    map.sourcesContent = map.sources.map(function(source) {
+      return source === this.source ? this.sourceContent : null;
+    }, this);
+  }
+  map.names = [];
+  map.mappings = encodeMappings(this.mappings);
+  return map;
 };
 
 /**
- * Ensure that the given value is a string and call `.trim()` on it,
- * or return an empty string.
- *
- * @param {String} `str`
- * @return {String}
- * @api public
+ * Returns the source map as a JSON string.
  */
 
-utils.trim = function(str) {
-  return typeof str === 'string' ? str.trim() : '';
+SourceMap.prototype.toString = function() {
+  return JSON.stringify(this.toJSON());
 };
 
 /**
- * Return true if value is an object
+ * Returns a `sourceMappingURL` comment with the source map inlined
+ * as a base64 data URL.
  */
 
-function isObject(value) {
-  return typeOf(value) === 'object';
-}
+SourceMap.prototype.toComment = function() {
+  var base64 = Buffer.from(this.toString()).toString('base64');
+  return '//# sourceMappingURL=data:application/json;charset=utf-8;base64,' + base64;
+};
 
 /**
- * Return true if value is a string
+ * Encode mappings in the format used by the `mappings` property of
+ * v3 source maps, where each segment is relative to the previous one.
  */
 
-function isString(value) {
-  return typeof value === 'string';
-}
+function encodeMappings(mappings) {
+  var prev = { generatedLine: 0, generatedColumn: 0, source: 0, originalLine: 0, originalColumn: 0 };
+  var res = '';
 
-/**
- * Return true if value is a function
- */
+  for (var i = 0; i < mappings.length; i++) {
+    var mapping = mappings[i];
+    if (mapping.generatedLine !== prev.generatedLine) {
+      res += ';'.repeat(mapping.generatedLine - prev.generatedLine);
+      prev.generatedColumn = 0;
+    } else if (i > 0) {
+      res += ',';
+    }
 
-function isFunction(value) {
-  return typeof value === 'function';
+    res += encodeVLQ(mapping.generatedColumn - prev.generatedColumn);
+    res += encodeVLQ(mapping.source - prev.source);
+    res += encodeVLQ(mapping.originalLine - prev.originalLine);
+    res += encodeVLQ(mapping.originalColumn - prev.originalColumn);
+    prev = Object.assign({}, mapping);
+  }
+  return res;
 }
 
 /**
- * Return true if value is an array
+ * Encode a number as a base64 VLQ.
  */
 
-function isArray(value) {
-  return Array.isArray(value);
+function encodeVLQ(value) {
+  var vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+  var res = '';
+  do {
+    var digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    res += BASE64.charAt(digit);
+  } while (vlq > 0);
+  return res;
 }
 
 /**
- * Shim to ensure the `.append` methods work with any version of snapdragon
+ * Shim to ensure the `.append` methods work with any version of snapdragon.
+ * Also records a mapping when a source map was created for the compiler.
  */
 
 function append(compiler, value, node) {
+  var sourceMap = sourceMaps.get(compiler);
+  if (sourceMap) {
+    sourceMap.add(value, node);
+  }
   if (typeof compiler.append !== 'function') {
     return compiler.emit(value, node);
   }
@@ -20,7 +20,12 @@ class Node {
     }
   }
   define(key, value) {
-    Object.defineProperty(this, key, { value: value });
+    Object.defineProperty(this, key, {
+      configurable: true,
+      enumerable: false,
+      writable: true,
+      value: value
+    });
     return this;
   }
   get siblings() {
@@ -33,6 +38,19 @@ class Node {
   }
 }
 
+function tree(type, values) {
+  var node = new Node({type: type});
+  values.forEach(function(val) {
+    if (!utils.isNode(val)) {
+      var child = new Node({type: val[0], value: val[1]});
+      if (val[2]) child.define('position', val[2]);
+      val = child;
+    }
+    utils.pushNode(node, val);
+  });
+  return node;
+}
+
 describe('snapdragon-node', function() {
   beforeEach(function() {
     parser = new Parser({Node: Node})
@@ -132,6 +150,268 @@ describe('snapdragon-node', function() {
     });
   });
 
+  describe('.createSourceMap', function() {
+    var parsed;
+
+    beforeEach(function() {
+      var parser = new Parser({Node: Node})
+        .set('text', function() {
+          var pos = this.position();
+          var match = this.match(/^[a-z]+/);
+          if (match) {
+            return pos(this.node(match[0]));
+          }
+        })
+        .set('slash', function() {
+          var pos = this.position();
+          var match = this.match(/^\//);
+          if (match) {
+            return pos(this.node(match[0]));
+          }
+        })
+        .set('newline', function() {
+          var pos = this.position();
+          var match = this.match(/^\n/);
+          if (match) {
+            return pos(this.node(match[0]));
+          }
+        });
+
+      parsed = parser.parse('ab/c\nd');
+    });
+
+    it('should throw an error when compiler is not an object', function() {
+      assert.throws(function() {
+        utils.createSourceMap();
+      });
+    });
+
+    it('should create a v3 source map from node positions', function() {
+      var compiler = new Compiler()
+        .set('text', utils.identity)
+        .set('slash', utils.append('\\'))
+        .set('newline', utils.identity);
+
+      var sourceMap = utils.createSourceMap(compiler, {file: 'out.txt', source: 'in.txt', sourceContent: 'ab/c\nd'});
+      var res = compiler.compile(parsed);
+      assert.equal(res.output, 'ab\\c\nd');
+      assert.deepEqual(sourceMap.toJSON(), {
+        version: 3,
+        file: 'out.txt',
+        sources: ['in.txt'],
+        sourcesContent: ['ab/c\nd'],
+        names: [],
+        mappings: 'AAAA,EAAE,CAAC,CAAC;AACJ'
+      });
+      assert.equal(sourceMap.toString(), JSON.stringify(sourceMap.toJSON()));
+    });
+
+    it('should return the same mappings each time a multi-line map is encoded', function() {
+      var compiler = new Compiler()
+        .set('text', utils.identity)
+        .set('slash', utils.identity)
+        .set('newline', utils.identity);
+
+      var sourceMap = utils.createSourceMap(compiler);
+      compiler.compile(parsed);
+      var first = sourceMap.toJSON();
+      assert.deepEqual(sourceMap.toJSON(), first);
+      assert.equal(sourceMap.toString(), JSON.stringify(first));
+      assert.equal(sourceMap.toJSON().mappings, 'AAAA,EAAE,CAAC,CAAC;AACJ');
+    });
+
+    it('should account for output that was emitted directly', function() {
+      var compiler = new Compiler()
+        .set('text', function(node) {
+          this.emit('--');
+          utils.identity.call(this, node);
+        })
+        .set('slash', utils.noop)
+        .set('newline', utils.noop);
+
+      var sourceMap = utils.createSourceMap(compiler);
+      compiler.compile(parsed);
+      assert.equal(compiler.output, '--ab--c--d');
+      assert.equal(sourceMap.toJSON().mappings, 'EAAA,IAAG,GACH');
+      assert.deepEqual(sourceMap.toJSON().sources, ['string']);
+    });
+
+    it('should reset mappings when the compiler output is reset', function() {
+      var compiler = new Compiler()
+        .set('text', utils.identity)
+        .set('slash', utils.identity)
+        .set('newline', utils.identity);
+
+      var sourceMap = utils.createSourceMap(compiler);
+      compiler.compile(parsed);
+      var mappings = sourceMap.toJSON().mappings;
+      compiler.compile(parsed);
+      assert.equal(sourceMap.toJSON().mappings, mappings);
+    });
+
+    it('should create an inline source map comment', function() {
+      var compiler = new Compiler().set('text', utils.identity);
+      var sourceMap = utils.createSourceMap(compiler);
+      var comment = sourceMap.toComment();
+      var prefix = '//# sourceMappingURL=data:application/json;charset=utf-8;base64,';
+      assert.equal(comment.indexOf(prefix), 0);
+      var json = Buffer.from(comment.slice(prefix.length), 'base64').toString();
+      assert.deepEqual(JSON.parse(json), sourceMap.toJSON());
+    });
+  });
+
+  describe('handler factories', function() {
+    var brace;
+
+    beforeEach(function() {
+      brace = tree('root', [
+        tree('brace', [['brace.open', '{'], ['text', 'a'], ['text', 'b'], ['brace.close', '}']])
+      ]);
+    });
+
+    function compiler() {
+      return new Compiler()
+        .set('root', function(node) {
+          this.mapVisit(node);
+        })
+        .set('brace.open', utils.noop)
+        .set('brace.close', utils.noop)
+        .set('text', utils.identity);
+    }
+
+    describe('.wrap', function() {
+      it('should wrap the compiled child nodes', function() {
+        var res = compiler().set('brace', utils.wrap('(', ')')).compile(brace);
+        assert.equal(res.output, '(ab)');
+      });
+
+      it('should wrap node.value', function() {
+        var res = compiler()
+          .set('brace', utils.join(''))
+          .set('text', utils.wrap('"'))
+          .compile(brace);
+        assert.equal(res.output, '"a""b"');
+      });
+    });
+
+    describe('.join', function() {
+      it('should join compiled child nodes with the given separator', function() {
+        var res = compiler()
+          .set('brace', utils.join('|'))
+          .set('brace.open', utils.append('('))
+          .set('brace.close', utils.append(')'))
+          .compile(brace);
+        assert.equal(res.output, '(a|b)');
+      });
+    });
+
+    describe('.when', function() {
+      it('should throw an error when predicate is not a function', function() {
+        assert.throws(function() {
+          utils.when('foo', utils.identity);
+        });
+      });
+
+      it('should call the handler when the predicate returns true', function() {
+        var res = compiler()
+          .set('brace', utils.join(','))
+          .set('text', utils.when(function(node) {
+            return this.isCompiler === true && node.value === 'a';
+          }, utils.identity, utils.append('*')))
+          .compile(brace);
+        assert.equal(res.output, 'a,*');
+      });
+
+      it('should append nothing when elseHandler is not given', function() {
+        var res = compiler()
+          .set('brace', utils.join(','))
+          .set('text', utils.when(node => node.value === 'b', utils.identity))
+          .compile(brace);
+        assert.equal(res.output, ',b');
+      });
+    });
+
+    describe('.map', function() {
+      it('should append values from the given table', function() {
+        var res = compiler()
+          .set('brace', utils.join(''))
+          .set('text', utils.map({a: 'x', c: 'z'}))
+          .compile(brace);
+        assert.equal(res.output, 'xb');
+      });
+
+      it('should call functions in the table', function() {
+        var res = compiler()
+          .set('brace', utils.join(''))
+          .set('text', utils.map({b: node => node.type}))
+          .compile(brace);
+        assert.equal(res.output, 'atext');
+      });
+    });
+
+    describe('.template', function() {
+      it('should replace placeholders with node properties', function() {
+        var res = compiler()
+          .set('brace', utils.join(''))
+          .set('text', utils.template('<${type}:${value}${missing}>'))
+          .compile(brace);
+        assert.equal(res.output, '<text:a><text:b>');
+      });
+    });
+  });
+
+  describe('.render', function() {
+    var root;
+
+    beforeEach(function() {
+      root = tree('root', [
+        ['text', 'x'],
+        tree('brace', [['brace.open', '{'], ['text', 'a'], ['comma', ','], ['text', 'b'], ['brace.close', '}']])
+      ]);
+    });
+
+    it('should throw an error when not a node', function() {
+      assert.throws(function() {
+        utils.render();
+      });
+    });
+
+    it('should render node values when no handlers are given', function() {
+      assert.equal(utils.render(root), 'x{a,b}');
+      assert.equal(utils.render(ast), 'a/*/c');
+    });
+
+    it('should use handlers for the given types', function() {
+      var res = utils.render(root, {
+        'brace.open': utils.append('('),
+        'brace.close': utils.append(')'),
+        comma: function() {
+          return '|';
+        }
+      });
+      assert.equal(res, 'x(a|b)');
+    });
+
+    it('should support handlers created by handler factories', function() {
+      var res = utils.render(root, {
+        brace: utils.join(' '),
+        text: utils.template('<${value}>')
+      });
+      assert.equal(res, '<x>{<a> , <b>}');
+    });
+
+    it('should track scopes for open and close nodes', function() {
+      var inside = [];
+      utils.render(root, {
+        text: function(node) {
+          inside.push(utils.isInsideType(this.state, 'brace'));
+          utils.identity.call(this, node);
+        }
+      });
+      assert.deepEqual(inside, [false, true, true]);
+    });
+  });
+
   describe('.toNoop', function() {
     it('should throw an error when node is not a node', function() {
       assert.throws(function() {
@@ -150,6 +430,72 @@ describe('snapdragon-node', function() {
     });
   });
 
+  describe('.normalize', function() {
+    it('should throw an error when not a node', function() {
+      assert.throws(function() {
+        utils.normalize();
+      });
+    });
+
+    it('should remove empty nodes', function() {
+      utils.toNoop(ast.nodes[3]);
+      utils.normalize(ast, {mergeText: false});
+      assert.deepEqual(ast.nodes.map(n => n.type), ['bos', 'text', 'slash', 'slash', 'text', 'eos']);
+    });
+
+    it('should remove nodes that only have empty child nodes', function() {
+      var node = tree('root', [['text', 'a'], tree('brace', [['text', '']])]);
+      utils.normalize(node);
+      assert.equal(node.nodes.length, 1);
+    });
+
+    it('should not remove empty open and close nodes', function() {
+      var node = tree('brace', [['brace.open', ''], ['brace.close', '']]);
+      utils.normalize(node);
+      assert.deepEqual(node.nodes.map(n => n.type), ['brace.open', 'brace.close']);
+    });
+
+    it('should not remove empty blocks with open and close nodes', function() {
+      var brace = tree('brace', [['text', '']]);
+      utils.addOpen(brace, Node);
+      utils.addClose(brace, Node);
+      var node = tree('root', [['text', 'a'], brace, ['text', 'b']]);
+      utils.normalize(node);
+      assert.deepEqual(node.nodes.map(n => n.type), ['text', 'brace', 'text']);
+      assert.deepEqual(node.nodes.map(utils.value), ['a', undefined, 'b']);
+      assert.deepEqual(brace.nodes.map(n => n.type), ['brace.open', 'brace.close']);
+    });
+
+    it('should not remove nodes that contain empty blocks', function() {
+      var brace = tree('brace', []);
+      utils.wrapNodes(brace, Node);
+      var group = tree('group', [brace]);
+      var node = tree('root', [group]);
+      utils.normalize(node);
+      assert.deepEqual(node.nodes, [group]);
+      assert.deepEqual(group.nodes, [brace]);
+      assert.deepEqual(brace.nodes.map(n => n.type), ['brace.open', 'brace.close']);
+    });
+
+    it('should merge adjacent text nodes and their positions', function() {
+      var node = tree('root', [['text', 'a'], ['text', ''], ['text', 'b'], ['star', '*'], ['text', 'c']]);
+      node.nodes[0].position = {start: {line: 1, column: 1}, end: {line: 1, column: 2}};
+      node.nodes[2].position = {start: {line: 1, column: 2}, end: {line: 1, column: 3}};
+      utils.normalize(node);
+      assert.deepEqual(node.nodes.map(utils.value), ['ab', '*', 'c']);
+      assert.deepEqual(node.nodes[0].position, {start: {line: 1, column: 1}, end: {line: 1, column: 3}});
+    });
+
+    it('should collapse nodes with a single child node', function() {
+      var node = tree('root', [tree('group', [tree('group', [['text', 'a']])]), ['text', 'b']]);
+      utils.pushNode(node, tree('brace', [['brace.open', '{'], ['brace.close', '}']]));
+      utils.normalize(node, {collapseSingleChildBlocks: true});
+      assert.deepEqual(node.nodes.map(n => n.type), ['text', 'brace']);
+      assert.equal(node.nodes[0].value, 'ab');
+      assert.equal(node.nodes[0].parent, node);
+    });
+  });
+
   describe('.visit', function() {
     it('should throw an error when not a node', function() {
       assert.throws(function() {
@@ -172,6 +518,409 @@ describe('snapdragon-node', function() {
       });
       assert.equal(type, 'root');
     });
+
+    it('should call enter and leave methods on a visitor object', function() {
+      var calls = [];
+      utils.visit(ast, {
+        enter: function(node) {
+          calls.push('enter:' + node.type);
+        },
+        leave: function(node) {
+          calls.push('leave:' + node.type);
+        }
+      });
+      assert.equal(calls[0], 'enter:root');
+      assert.equal(calls[1], 'enter:bos');
+      assert.equal(calls[2], 'leave:bos');
+      assert.equal(calls[calls.length - 1], 'leave:root');
+    });
+
+    it('should call visitor methods for the given node type', function() {
+      var calls = [];
+      utils.visit(ast, {
+        slash: function(node) {
+          calls.push('slash');
+        },
+        root: {
+          leave: function(node) {
+            calls.push('root');
+          }
+        }
+      });
+      assert.deepEqual(calls, ['slash', 'slash', 'root']);
+    });
+
+    it('should skip child nodes when visit.SKIP is returned', function() {
+      var brace = new Node({type: 'brace'});
+      utils.pushNode(brace, new Node({type: 'text', value: 'a'}));
+      var types = [];
+      utils.visit(brace, function(node) {
+        types.push(node.type);
+        return utils.visit.SKIP;
+      });
+      assert.deepEqual(types, ['brace']);
+    });
+
+    it('should stop visiting when visit.BREAK is returned', function() {
+      var types = [];
+      utils.visit(ast, function(node) {
+        types.push(node.type);
+        if (node.type === 'slash') {
+          return utils.visit.BREAK;
+        }
+      });
+      assert.deepEqual(types, ['root', 'bos', 'text', 'slash']);
+    });
+
+    it('should remove a node when visit.REMOVE is returned', function() {
+      var types = [];
+      utils.visit(ast, function(node) {
+        if (node.type === 'slash') {
+          return utils.visit.REMOVE;
+        }
+        types.push(node.type);
+      });
+      assert.deepEqual(types, ['root', 'bos', 'text', 'star', 'text', 'eos']);
+      assert.deepEqual(ast.nodes.map(node => node.type), ['bos', 'text', 'star', 'text', 'eos']);
+    });
+
+    it('should replace a node with the returned node', function() {
+      var visited = [];
+      utils.visit(ast, {
+        star: function(node) {
+          return new Node({type: 'text', value: 'x'});
+        },
+        text: function(node) {
+          visited.push(utils.value(node));
+        }
+      });
+      assert.equal(ast.nodes[3].type, 'text');
+      assert.equal(ast.nodes[3].parent, ast);
+      assert.deepEqual(visited, ['a', 'c']);
+    });
+
+    it('should ignore the current node when it is returned', function() {
+      utils.visit(ast, function(node) {
+        return node;
+      });
+      assert.equal(ast.nodes.length, 7);
+    });
+
+    it('should pass a path object to visitor functions', function() {
+      var paths = {};
+      utils.visit(ast, function(node, path) {
+        paths[node.type] = path;
+      });
+      assert.equal(paths.root.depth, 0);
+      assert.equal(paths.root.parent, null);
+      assert.equal(paths.star.node.type, 'star');
+      assert.equal(paths.star.parent, ast);
+      assert.equal(paths.star.index, 3);
+      assert.equal(paths.star.depth, 1);
+      assert.deepEqual(paths.star.ancestors, [ast]);
+    });
+
+    it('should expose ancestors for nested nodes', function() {
+      var brace = new Node({type: 'brace'});
+      var inner = new Node({type: 'inner'});
+      var text = new Node({type: 'text', value: 'a'});
+      utils.pushNode(brace, inner);
+      utils.pushNode(inner, text);
+
+      utils.visit(brace, {
+        text: function(node, path) {
+          assert.equal(path.depth, 2);
+          assert.deepEqual(path.ancestors, [brace, inner]);
+          assert.equal(path.parentPath.node, inner);
+        }
+      });
+    });
+
+    it('should replace a node with path.replaceWith', function() {
+      var visited = [];
+      utils.visit(ast, function(node, path) {
+        visited.push(node.type);
+        if (node.type === 'star') {
+          path.replaceWith(new Node({type: 'qmark', value: '?'}));
+        }
+      });
+      assert.equal(visited.indexOf('qmark'), -1);
+      assert.equal(ast.nodes[3].type, 'qmark');
+      assert.equal(ast.nodes[3].parent, ast);
+    });
+
+    it('should remove nodes with path.remove while visiting', function() {
+      var visited = [];
+      utils.visit(ast, function(node, path) {
+        visited.push(node.type);
+        if (node.type === 'slash') {
+          path.remove();
+        }
+      });
+      assert.deepEqual(visited, ['root', 'bos', 'text', 'slash', 'star', 'slash', 'text', 'eos']);
+      assert.deepEqual(ast.nodes.map(node => node.type), ['bos', 'text', 'star', 'text', 'eos']);
+    });
+
+    it('should insert nodes with path.insertBefore and path.insertAfter', function() {
+      var visited = [];
+      utils.visit(ast, function(node, path) {
+        visited.push(node.type);
+        if (node.type === 'star') {
+          path.insertBefore(new Node({type: 'before'}));
+          path.insertAfter(new Node({type: 'after'}));
+          assert.equal(path.index, 4);
+        }
+      });
+      assert.deepEqual(visited, ['root', 'bos', 'text', 'slash', 'star', 'after', 'slash', 'text', 'eos']);
+      assert.deepEqual(ast.nodes.map(node => node.type), ['bos', 'text', 'slash', 'before', 'star', 'after', 'slash', 'text', 'eos']);
+      assert.equal(ast.nodes[3].parent, ast);
+      assert.equal(ast.nodes[5].parent, ast);
+    });
+
+    it('should update path.index when the tree is modified without path methods', function() {
+      utils.visit(ast, function(node, path) {
+        if (node.type === 'slash' && path.index === 3) {
+          utils.removeNode(ast, ast.nodes[0]);
+          assert.equal(path.index, 2);
+          utils.spliceNodes(ast, 0, 0, new Node({type: 'foo'}), new Node({type: 'bar'}));
+          assert.equal(path.index, 4);
+        }
+      });
+    });
+
+    it('should throw when inserting a sibling of a node without a parent', function() {
+      assert.throws(function() {
+        utils.visit(new Node({type: 'foo'}), function(node, path) {
+          path.insertAfter(new Node({type: 'bar'}));
+        });
+      });
+    });
+
+    describe('options.order', function() {
+      var root;
+
+      beforeEach(function() {
+        root = tree('root', [['a'], tree('brace', [['b'], ['c']]), ['d']]);
+      });
+
+      function types(node, options) {
+        var res = [];
+        utils.visit(node, function(child) {
+          res.push(child.type);
+        }, options);
+        return res;
+      }
+
+      it('should throw an error on an invalid order', function() {
+        assert.throws(function() {
+          types(root, {order: 'foo'});
+        }, /expected options.order to be one of/);
+      });
+
+      it('should visit nodes in pre-order by default', function() {
+        assert.deepEqual(types(root), ['root', 'a', 'brace', 'b', 'c', 'd']);
+        assert.deepEqual(types(root, {order: 'pre'}), ['root', 'a', 'brace', 'b', 'c', 'd']);
+      });
+
+      it('should visit nodes in post-order', function() {
+        assert.deepEqual(types(root, {order: 'post'}), ['a', 'b', 'c', 'brace', 'd', 'root']);
+      });
+
+      it('should visit nodes breadth-first', function() {
+        assert.deepEqual(types(root, {order: 'bfs'}), ['root', 'a', 'brace', 'd', 'b', 'c']);
+      });
+
+      it('should visit nodes from right to left', function() {
+        assert.deepEqual(types(root, {order: 'reverse'}), ['root', 'd', 'brace', 'c', 'b', 'a']);
+      });
+
+      it('should call leave methods after enter in post-order', function() {
+        var res = [];
+        utils.visit(root, {
+          enter: function(node) {
+            res.push('enter:' + node.type);
+          },
+          leave: function(node) {
+            res.push('leave:' + node.type);
+          }
+        }, {order: 'post'});
+        assert.deepEqual(res.slice(0, 4), ['enter:a', 'leave:a', 'enter:b', 'leave:b']);
+      });
+
+      it('should stop traversal in every order', function() {
+        ['pre', 'post', 'bfs', 'reverse'].forEach(function(order) {
+          var res = [];
+          utils.visit(root, function(node) {
+            res.push(node.type);
+            if (node.type === 'brace') return utils.visit.BREAK;
+          }, {order: order});
+          assert.equal(res[res.length - 1], 'brace', order);
+        });
+      });
+
+      it('should skip child nodes in breadth-first order', function() {
+        var res = [];
+        utils.visit(root, function(node) {
+          res.push(node.type);
+          if (node.type === 'brace') return utils.visit.SKIP;
+        }, {order: 'bfs'});
+        assert.deepEqual(res, ['root', 'a', 'brace', 'd']);
+      });
+
+      it('should remove nodes while visiting in reverse', function() {
+        var res = [];
+        utils.visit(root, function(node) {
+          res.push(node.type);
+          if (node.type === 'd' || node.type === 'b') return utils.visit.REMOVE;
+        }, {order: 'reverse'});
+        assert.deepEqual(res, ['root', 'd', 'brace', 'c', 'b', 'a']);
+        assert.deepEqual(types(root), ['root', 'a', 'brace', 'c']);
+      });
+
+      it('should visit nodes inserted before the current node in reverse', function() {
+        var res = [];
+        utils.visit(root, function(node, path) {
+          res.push(node.type);
+          if (node.type === 'd') {
+            path.insertBefore(new Node({type: 'before'}));
+            path.insertAfter(new Node({type: 'after'}));
+          }
+        }, {order: 'reverse'});
+        assert.deepEqual(res, ['root', 'd', 'before', 'brace', 'c', 'b', 'a']);
+        assert.deepEqual(types(root), ['root', 'a', 'brace', 'b', 'c', 'before', 'd', 'after']);
+      });
+
+      it('should replace nodes in post-order', function() {
+        utils.visit(root, function(node) {
+          if (node.type === 'brace') {
+            return new Node({type: 'text', value: node.nodes.map(n => n.type).join('')});
+          }
+        }, {order: 'post'});
+        assert.deepEqual(root.nodes.map(utils.value), [undefined, 'bc', undefined]);
+      });
+
+      it('should pass options to mapVisit', function() {
+        var res = [];
+        utils.mapVisit(root, function(node) {
+          res.push(node.type);
+        }, {order: 'bfs'});
+        assert.deepEqual(res, ['a', 'brace', 'd', 'b', 'c']);
+      });
+    });
+
+    describe('deeply nested trees', function() {
+      function nest(depth) {
+        var root = new Node({type: 'root'});
+        var node = root;
+        for (var i = 0; i < depth; i++) {
+          var child = new Node({type: 'brace'});
+          utils.pushNode(node, child);
+          node = child;
+        }
+        return root;
+      }
+
+      function deepest(node) {
+        while (node.nodes && node.nodes.length) node = node.nodes[0];
+        return node;
+      }
+
+      function depthOf(node) {
+        var depth = 0;
+        while (node.parent) {
+          node = node.parent;
+          depth++;
+        }
+        return depth;
+      }
+
+      it('should visit deeply nested trees without overflowing the stack', function() {
+        var count = 0;
+        var depth = 0;
+        utils.visit(nest(20000), {
+          enter: function() {
+            count++;
+          },
+          leave: function(node, path) {
+            depth = Math.max(depth, path.depth);
+          }
+        });
+        assert.equal(count, 20001);
+        assert.equal(depth, 20000);
+      });
+
+      it('should clone deeply nested trees', function() {
+        var root = nest(20000);
+        var clone = utils.cloneNode(root);
+        assert.notEqual(deepest(clone), deepest(root));
+        assert.equal(depthOf(deepest(clone)), 20000);
+      });
+
+      it('should compare deeply nested trees', function() {
+        var a = nest(20000);
+        var b = nest(20000);
+        assert(utils.isEqual(a, b));
+        deepest(b).value = 'a';
+        assert(!utils.isEqual(a, b));
+      });
+
+      it('should diff deeply nested trees', function() {
+        var a = nest(20000);
+        var b = nest(20000);
+        utils.pushNode(deepest(b), new Node({type: 'text', value: 'a'}));
+        var ops = utils.diff(a, b);
+        assert.equal(ops.length, 1);
+        assert.equal(ops[0].op, 'insert');
+        assert.equal(ops[0].path.length, 20001);
+        assert(utils.isEqual(utils.patch(a, ops), b));
+      });
+
+      it('should get the ancestors of deeply nested nodes', function() {
+        var node = deepest(nest(20000));
+        assert.equal(utils.depth(node), 20000);
+        assert.equal(utils.closest(node, 'root').type, 'root');
+      });
+
+      it('should serialize and revive deeply nested trees', function() {
+        var root = utils.fromJSON(utils.toJSON(nest(20000)), Node);
+        assert.equal(deepest(root).type, 'brace');
+        assert.equal(depthOf(deepest(root)), 20000);
+      });
+
+      it('should inspect deeply nested trees', function() {
+        var lines = utils.inspect(nest(10000)).split('\n');
+        assert.equal(lines.length, 10001);
+        assert.equal(lines[10000].trim(), '└─ brace (empty)');
+      });
+
+      it('should render deeply nested trees', function() {
+        var root = nest(20000);
+        utils.pushNode(deepest(root), new Node({type: 'text', value: 'a'}));
+        assert.equal(utils.render(root, {}), 'a');
+      });
+
+      it('should throw a RangeError when options.maxDepth is exceeded', function() {
+        var err;
+        try {
+          utils.visit(nest(10), function() {}, {maxDepth: 5});
+        } catch (e) {
+          err = e;
+        }
+        assert(err instanceof RangeError);
+        assert.equal(err.code, 'max-depth');
+        assert.equal(err.depth, 6);
+        assert.equal(err.node.type, 'brace');
+      });
+
+      it('should throw when options.maxDepth is exceeded in every order', function() {
+        ['pre', 'post', 'bfs', 'reverse'].forEach(function(order) {
+          assert.throws(function() {
+            utils.mapVisit(nest(3), function() {}, {order: order, maxDepth: 2});
+          }, /no more than 2 levels deep/);
+          utils.mapVisit(nest(3), function() {}, {order: order, maxDepth: 3});
+        });
+      });
+    });
   });
 
   describe('.mapVisit', function() {
@@ -196,6 +945,238 @@ describe('snapdragon-node', function() {
       });
       assert.equal(type, 'bos');
     });
+
+    it('should accept a visitor object', function() {
+      var types = [];
+      utils.mapVisit(ast, {
+        leave: function(node) {
+          types.push(node.type);
+        }
+      });
+      assert.deepEqual(types, ['bos', 'text', 'slash', 'star', 'slash', 'text', 'eos']);
+    });
+  });
+
+  describe('.visitAsync', function() {
+    function delay(value, ms) {
+      return new Promise(function(resolve) {
+        setTimeout(function() {
+          resolve(value);
+        }, ms);
+      });
+    }
+
+    function rejects(promise, regex) {
+      return promise.then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        assert(regex.test(err.message), err.message);
+      });
+    }
+
+    it('should reject when not a node', function() {
+      return rejects(utils.visitAsync(undefined, function() {}), /expected node to be an instance of Node/);
+    });
+
+    it('should reject when the visitor or options are invalid', function() {
+      return Promise.all([
+        rejects(utils.visitAsync(ast), /expected a visitor function or object/),
+        rejects(utils.visitAsync(ast, function() {}, {concurrency: 0}), /expected options.concurrency/),
+        rejects(utils.visitAsync(ast, function() {}, {order: 'post'}), /expected options.order to be "pre"/)
+      ]);
+    });
+
+    it('should visit nodes in order and wait for promises', function() {
+      var types = [];
+      return utils.visitAsync(ast, function(node) {
+        return delay(null, node.type === 'bos' ? 10 : 0).then(function() {
+          types.push(node.type);
+        });
+      })
+        .then(function(node) {
+          assert.equal(node, ast);
+          assert.deepEqual(types, ['root', 'bos', 'text', 'slash', 'star', 'slash', 'text', 'eos']);
+        });
+    });
+
+    it('should support visitor objects and signals', function() {
+      var types = [];
+      return utils.visitAsync(ast, {
+        enter: function(node) {
+          types.push(node.type);
+          if (node.type === 'slash') return Promise.resolve(utils.visit.REMOVE);
+        },
+        star: function() {
+          return Promise.resolve(utils.visit.BREAK);
+        }
+      })
+        .then(function() {
+          assert.deepEqual(types, ['root', 'bos', 'text', 'slash', 'star']);
+          assert.deepEqual(ast.nodes.map(node => node.type), ['bos', 'text', 'star', 'slash', 'text', 'eos']);
+        });
+    });
+
+    it('should replace nodes with resolved nodes', function() {
+      return utils.visitAsync(ast, function(node) {
+        if (node.type === 'star') {
+          return delay(new Node({type: 'qmark', value: '?'}), 5);
+        }
+      })
+        .then(function() {
+          assert.equal(ast.nodes[3].type, 'qmark');
+          assert.equal(ast.nodes[3].parent, ast);
+        });
+    });
+
+    it('should reject when a visitor throws or rejects', function() {
+      return utils.visitAsync(ast, function(node) {
+        if (node.type === 'star') throw new Error('bad star');
+      })
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.message, 'bad star');
+        });
+    });
+
+    it('should start visitors concurrently and apply results in order', function() {
+      var running = 0;
+      var max = 0;
+      var order = [];
+      var ms = {text: 20, slash: 0, star: 10};
+      return utils.visitAsync(ast, function(node) {
+        if (node.type === 'root') return;
+        running++;
+        max = Math.max(max, running);
+        return delay(null, ms[node.type] || 0).then(function() {
+          running--;
+          order.push(node.type);
+          if (node.type === 'slash') return utils.visit.REMOVE;
+        });
+      }, {concurrency: 3})
+        .then(function() {
+          assert.equal(max, 3);
+          assert.notDeepEqual(order, ['bos', 'text', 'slash', 'star', 'slash', 'text', 'eos']);
+          assert.deepEqual(ast.nodes.map(node => node.type), ['bos', 'text', 'star', 'text', 'eos']);
+        });
+    });
+
+    it('should share the concurrency limit between nesting levels', function() {
+      var running = 0;
+      var max = 0;
+      var text = () => [['text', 'x'], ['text', 'y'], ['text', 'z']];
+      var root = tree('root', [tree('a', text()), tree('b', text()), tree('c', text())]);
+      var ms = {a: 0, b: 30, c: 30, text: 5};
+      var visitor = function(node) {
+        running++;
+        max = Math.max(max, running);
+        return delay(null, ms[node.type] || 0).then(function() {
+          running--;
+        });
+      };
+
+      return utils.visitAsync(root, {enter: visitor, leave: visitor}, {concurrency: 3})
+        .then(function() {
+          assert.equal(max, 3);
+        });
+    });
+
+    it('should ignore results after a BREAK signal', function() {
+      return utils.visitAsync(ast, function(node) {
+        if (node.type === 'text') return utils.visit.BREAK;
+        if (node.type === 'slash') return utils.visit.REMOVE;
+      }, {concurrency: 4})
+        .then(function() {
+          assert.equal(ast.nodes.length, 7);
+        });
+    });
+  });
+
+  describe('iterators', function() {
+    var root;
+
+    beforeEach(function() {
+      root = tree('root', [['a'], tree('brace', [['b'], ['brace.close']]), ['d']]);
+    });
+
+    describe('.walk', function() {
+      it('should throw an error when not a node', function() {
+        assert.throws(function() {
+          utils.walk();
+        });
+      });
+
+      it('should yield node, parent and depth entries', function() {
+        var entries = Array.from(utils.walk(root));
+        assert.deepEqual(entries.map(e => e.node.type), ['root', 'a', 'brace', 'b', 'brace.close', 'd']);
+        assert.equal(entries[0].parent, null);
+        assert.equal(entries[3].parent, root.nodes[1]);
+        assert.deepEqual(entries.map(e => e.depth), [0, 1, 1, 2, 2, 1]);
+      });
+
+      it('should yield entries in the given order', function() {
+        var types = function(order) {
+          return Array.from(utils.walk(root, {order: order})).map(e => e.node.type);
+        };
+        assert.deepEqual(types('post'), ['a', 'b', 'brace.close', 'brace', 'd', 'root']);
+        assert.deepEqual(types('bfs'), ['root', 'a', 'brace', 'd', 'b', 'brace.close']);
+        assert.deepEqual(types('reverse'), ['root', 'd', 'brace', 'brace.close', 'b', 'a']);
+        assert.throws(function() {
+          types('foo');
+        });
+      });
+
+      it('should filter entries', function() {
+        var types = function(filter) {
+          return Array.from(utils.walk(root, {filter: filter})).map(e => e.node.type);
+        };
+        assert.deepEqual(types(/^brace/), ['brace', 'brace.close']);
+        assert.deepEqual(types(['a', 'd']), ['a', 'd']);
+        assert.deepEqual(types(node => !node.nodes), ['a', 'b', 'brace.close', 'd']);
+      });
+
+      it('should throw a RangeError when options.maxDepth is exceeded', function() {
+        var types = [];
+        assert.throws(function() {
+          for (var entry of utils.walk(root, {maxDepth: 1})) {
+            types.push(entry.node.type);
+          }
+        }, function(err) {
+          return err instanceof RangeError && err.code === 'max-depth' && err.depth === 2;
+        });
+        assert.deepEqual(types, ['root', 'a', 'brace']);
+        assert.equal(Array.from(utils.walk(root, {maxDepth: 2})).length, 6);
+      });
+
+      it('should visit nodes lazily', function() {
+        var types = [];
+        for (var entry of utils.walk(root)) {
+          types.push(entry.node.type);
+          if (entry.node.type === 'brace') {
+            entry.node.nodes = [];
+            break;
+          }
+        }
+        assert.deepEqual(types, ['root', 'a', 'brace']);
+        assert.deepEqual(Array.from(utils.walk(root)).map(e => e.node.type), ['root', 'a', 'brace', 'd']);
+      });
+    });
+
+    describe('.descendants', function() {
+      it('should yield the descendants of a node', function() {
+        var types = Array.from(utils.descendants(root)).map(n => n.type);
+        assert.deepEqual(types, ['a', 'brace', 'b', 'brace.close', 'd']);
+        assert.deepEqual(Array.from(utils.descendants(root.nodes[0])), []);
+      });
+    });
+
+    describe('.filterNodes', function() {
+      it('should yield nodes that match the given type', function() {
+        assert.deepEqual(Array.from(utils.filterNodes(root, 'b')).map(n => n.type), ['b']);
+        assert.deepEqual(Array.from(utils.filterNodes(root, /^(root|brace)/)).map(n => n.type), ['root', 'brace', 'brace.close']);
+        assert.deepEqual(Array.from(utils.filterNodes(root, ['d', 'a'])).map(n => n.type), ['a', 'd']);
+      });
+    });
   });
 
   describe('.pushNode', function() {
@@ -471,6 +1452,500 @@ describe('snapdragon-node', function() {
     });
   });
 
+  describe('.replaceNode', function() {
+    it('should throw an error when parent is not a node', function() {
+      assert.throws(function() {
+        utils.replaceNode();
+      });
+    });
+
+    it('should replace a node in node.nodes', function() {
+      var node = new Node({type: 'brace'});
+      var a = new Node({type: 'a', value: 'foo'});
+      var b = new Node({type: 'b', value: 'foo'});
+      utils.pushNode(node, a);
+      assert.equal(utils.replaceNode(node, a, b), b);
+      assert.equal(node.nodes.length, 1);
+      assert.equal(node.nodes[0], b);
+      assert.equal(b.parent, node);
+    });
+
+    it('should return when the given node is not in node.nodes', function() {
+      var node = new Node({type: 'brace'});
+      utils.pushNode(node, new Node({type: 'a'}));
+      assert.equal(utils.replaceNode(node, new Node({type: 'b'}), new Node({type: 'c'})), undefined);
+      assert.equal(node.nodes[0].type, 'a');
+    });
+
+    it('should use node.replace when it is a function', function() {
+      var node = new Node({type: 'brace'});
+      var args;
+      node.replace = function() {
+        args = [].slice.call(arguments);
+      };
+      var a = new Node({type: 'a'});
+      var b = new Node({type: 'b'});
+      utils.pushNode(node, a);
+      utils.replaceNode(node, a, b);
+      assert.deepEqual(args, [a, b]);
+    });
+  });
+
+  describe('.insertBefore', function() {
+    it('should throw an error when parent is not a node', function() {
+      assert.throws(function() {
+        utils.insertBefore();
+      });
+    });
+
+    it('should insert a node before the given sibling', function() {
+      var node = new Node({type: 'brace'});
+      var a = new Node({type: 'a'});
+      var b = new Node({type: 'b'});
+      var c = new Node({type: 'c'});
+      utils.pushNode(node, a);
+      utils.pushNode(node, b);
+      assert.equal(utils.insertBefore(node, c, b), c);
+      assert.deepEqual(node.nodes.map(n => n.type), ['a', 'c', 'b']);
+      assert.equal(c.parent, node);
+    });
+
+    it('should return when the sibling is not in node.nodes', function() {
+      var node = new Node({type: 'brace'});
+      utils.pushNode(node, new Node({type: 'a'}));
+      assert.equal(utils.insertBefore(node, new Node({type: 'b'}), new Node({type: 'c'})), undefined);
+      assert.equal(node.nodes.length, 1);
+    });
+  });
+
+  describe('.insertAfter', function() {
+    it('should throw an error when parent is not a node', function() {
+      assert.throws(function() {
+        utils.insertAfter();
+      });
+    });
+
+    it('should insert a node after the given sibling', function() {
+      var node = new Node({type: 'brace'});
+      var a = new Node({type: 'a'});
+      var b = new Node({type: 'b'});
+      var c = new Node({type: 'c'});
+      utils.pushNode(node, a);
+      utils.pushNode(node, b);
+      assert.equal(utils.insertAfter(node, c, b), c);
+      assert.deepEqual(node.nodes.map(n => n.type), ['a', 'b', 'c']);
+      assert.equal(c.parent, node);
+    });
+
+    it('should use node.insertAfter when it is a function', function() {
+      var node = new Node({type: 'brace'});
+      var a = new Node({type: 'a'});
+      var b = new Node({type: 'b'});
+      var args;
+      node.insertAfter = function() {
+        args = [].slice.call(arguments);
+      };
+      utils.insertAfter(node, a, b);
+      assert.deepEqual(args, [a, b]);
+    });
+  });
+
+  describe('.unwrapNode', function() {
+    it('should throw an error when parent is not a node', function() {
+      assert.throws(function() {
+        utils.unwrapNode();
+      });
+    });
+
+    it('should hoist child nodes and drop open and close nodes', function() {
+      var parent = new Node({type: 'root'});
+      var brace = new Node({type: 'brace'});
+      var a = new Node({type: 'text', value: 'a'});
+      var b = new Node({type: 'text', value: 'b'});
+      utils.pushNode(parent, new Node({type: 'bos'}));
+      utils.pushNode(parent, brace);
+      utils.pushNode(parent, new Node({type: 'eos'}));
+      utils.pushNode(brace, new Node({type: 'brace.open', value: '{'}));
+      utils.pushNode(brace, new Node({type: 'brace.close', value: '}'}));
+      utils.spliceNodes(brace, 1, 0, a, b);
+
+      assert.deepEqual(utils.unwrapNode(parent, brace), [a, b]);
+      assert.deepEqual(parent.nodes.map(n => n.type), ['bos', 'text', 'text', 'eos']);
+      assert.equal(a.parent, parent);
+      assert.equal(b.parent, parent);
+    });
+
+    it('should return when the node is not in parent.nodes', function() {
+      var parent = new Node({type: 'root'});
+      utils.pushNode(parent, new Node({type: 'bos'}));
+      assert.equal(utils.unwrapNode(parent, new Node({type: 'brace'})), undefined);
+      assert.equal(parent.nodes.length, 1);
+    });
+  });
+
+  describe('.spliceNodes', function() {
+    it('should throw an error when parent is not a node', function() {
+      assert.throws(function() {
+        utils.spliceNodes();
+      });
+    });
+
+    it('should remove and insert nodes', function() {
+      var node = new Node({type: 'brace'});
+      var a = new Node({type: 'a'});
+      var b = new Node({type: 'b'});
+      var c = new Node({type: 'c'});
+      var d = new Node({type: 'd'});
+      utils.pushNode(node, a);
+      utils.pushNode(node, b);
+      assert.deepEqual(utils.spliceNodes(node, 1, 1, c, d), [b]);
+      assert.deepEqual(node.nodes.map(n => n.type), ['a', 'c', 'd']);
+      assert.equal(c.parent, node);
+      assert.equal(d.parent, node);
+    });
+
+    it('should remove all nodes after start when deleteCount is not given', function() {
+      var node = new Node({type: 'brace'});
+      utils.pushNode(node, new Node({type: 'a'}));
+      utils.pushNode(node, new Node({type: 'b'}));
+      utils.pushNode(node, new Node({type: 'c'}));
+      assert.equal(utils.spliceNodes(node, 1).length, 2);
+      assert.deepEqual(node.nodes.map(n => n.type), ['a']);
+    });
+
+    it('should throw an error when an inserted value is not a node', function() {
+      var node = new Node({type: 'brace'});
+      assert.throws(function() {
+        utils.spliceNodes(node, 0, 0, {type: 'foo'});
+      });
+    });
+  });
+
+  describe('.cloneNode', function() {
+    it('should throw an error when not a node', function() {
+      assert.throws(function() {
+        utils.cloneNode();
+      });
+    });
+
+    it('should deeply clone a node', function() {
+      var clone = utils.cloneNode(ast);
+      assert(clone instanceof Node);
+      assert.notEqual(clone, ast);
+      assert.equal(clone.nodes.length, ast.nodes.length);
+      assert.notEqual(clone.nodes[1], ast.nodes[1]);
+      assert.equal(clone.nodes[1].val, 'a');
+      assert.equal(clone.nodes[1].parent, clone);
+      assert(utils.isEqual(clone, ast));
+    });
+
+    it('should not modify the original node', function() {
+      var clone = utils.cloneNode(ast);
+      clone.nodes[1].val = 'b';
+      assert.equal(ast.nodes[1].val, 'a');
+      assert.notEqual(ast.nodes[1].parent, clone);
+    });
+
+    it('should clone plain objects and arrays', function() {
+      var node = new Node({type: 'foo'});
+      node.meta = {list: ['a']};
+      var clone = utils.cloneNode(node);
+      assert.deepEqual(clone.meta, {list: ['a']});
+      assert.notEqual(clone.meta, node.meta);
+      assert.notEqual(clone.meta.list, node.meta.list);
+    });
+
+    it('should copy non-enumerable node.position', function() {
+      var node = new Node({type: 'foo'});
+      node.define('position', {start: {line: 1, column: 1}, end: {line: 1, column: 2}});
+      var clone = utils.cloneNode(node);
+      assert.deepEqual(clone.position, node.position);
+      assert.notEqual(clone.position, node.position);
+      assert.equal(Object.keys(clone).indexOf('position'), -1);
+    });
+
+    it('should copy positions created by the parser', function() {
+      var parser = new Parser({Node: Node})
+        .set('text', function() {
+          var pos = this.position();
+          var match = this.match(/^[a-z]+/);
+          if (match) {
+            return pos(this.node(match[0]));
+          }
+        });
+
+      var node = parser.parse('abc').nodes[1];
+      var clone = utils.cloneNode(node);
+      assert.deepEqual(clone.position, node.position);
+      assert.notEqual(clone.position, node.position);
+      assert.notEqual(clone.position.start, node.position.start);
+      assert.notEqual(clone.position.end, node.position.end);
+      assert.equal(Object.getPrototypeOf(clone.position), Object.getPrototypeOf(node.position));
+    });
+
+    it('should not clone child nodes when options.deep is false', function() {
+      var clone = utils.cloneNode(ast, {deep: false});
+      assert.deepEqual(clone.nodes, []);
+    });
+
+    it('should use options.Node to create nodes', function() {
+      class Foo extends Node {}
+      var clone = utils.cloneNode(ast, {Node: Foo});
+      assert(clone instanceof Foo);
+      assert(clone.nodes[0] instanceof Foo);
+    });
+  });
+
+  describe('.isEqual', function() {
+    it('should return true when nodes are structurally equal', function() {
+      var a = new Node({type: 'brace'});
+      var b = new Node({type: 'brace'});
+      utils.pushNode(a, new Node({type: 'text', value: 'a'}));
+      utils.pushNode(b, new Node({type: 'text', value: 'a'}));
+      assert(utils.isEqual(a, b));
+    });
+
+    it('should return false when nodes are not equal', function() {
+      var a = new Node({type: 'brace'});
+      var b = new Node({type: 'brace'});
+      utils.pushNode(a, new Node({type: 'text', value: 'a'}));
+      utils.pushNode(b, new Node({type: 'text', value: 'b'}));
+      assert(!utils.isEqual(a, b));
+      utils.pushNode(b, new Node({type: 'text', value: 'c'}));
+      assert(!utils.isEqual(a, b));
+      assert(!utils.isEqual(new Node({type: 'a'}), new Node({type: 'b'})));
+    });
+
+    it('should ignore the given properties', function() {
+      var a = new Node({type: 'text', value: 'a'});
+      var b = new Node({type: 'text', value: 'a'});
+      a.position = {start: {line: 1, column: 1}};
+      b.position = {start: {line: 2, column: 1}};
+      assert(!utils.isEqual(a, b));
+      assert(utils.isEqual(a, b, {ignore: ['position']}));
+    });
+
+    it('should compare positions defined by the parser', function() {
+      var a = new Parser({Node: Node})
+        .set('text', function() {
+          var pos = this.position();
+          var match = this.match(/^[a-z\/]+/);
+          if (match) {
+            return pos(this.node(match[0]));
+          }
+        })
+        .parse('a/b');
+      var b = utils.cloneNode(a);
+      assert(!a.nodes[1].propertyIsEnumerable('position'));
+      assert(utils.isEqual(a, b));
+      b.nodes[1].position.start.column++;
+      assert(!utils.isEqual(a, b));
+      assert(utils.isEqual(a, b, {ignore: ['position']}));
+    });
+  });
+
+  describe('.diff', function() {
+    it('should throw an error when not a node', function() {
+      assert.throws(function() {
+        utils.diff();
+      });
+    });
+
+    it('should return an empty array when nodes are equal', function() {
+      assert.deepEqual(utils.diff(tree('brace', [['text', 'a']]), tree('brace', [['text', 'a']])), []);
+    });
+
+    it('should create update operations for changed values', function() {
+      var ops = utils.diff(tree('brace', [['text', 'a']]), tree('brace', [['text', 'b']]));
+      assert.deepEqual(ops, [{op: 'update', path: [0], value: 'b'}]);
+    });
+
+    it('should create insert and remove operations', function() {
+      var b = tree('brace', [['text', 'a'], ['star', '*']]);
+      var ops = utils.diff(tree('brace', [['slash', '/'], ['text', 'a']]), b);
+      assert.deepEqual(ops.map(function(op) {
+        return op.op + ':' + op.path.join('.');
+      }), ['remove:0', 'insert:1']);
+      assert.equal(ops[1].node, b.nodes[1]);
+    });
+
+    it('should create replace operations when types differ', function() {
+      var b = new Node({type: 'star', value: '*'});
+      var ops = utils.diff(new Node({type: 'text', value: 'a'}), b);
+      assert.deepEqual(ops, [{op: 'replace', path: [], node: b}]);
+    });
+
+    it('should create replace operations when only one node has child nodes', function() {
+      var leaf = new Node({type: 'brace'});
+      var empty = new Node({type: 'brace', nodes: []});
+      var brace = tree('brace', [['text', 'a']]);
+      assert.deepEqual(utils.diff(brace, leaf), [{op: 'replace', path: [], node: leaf}]);
+      assert(utils.isEqual(utils.patch(brace, utils.diff(brace, leaf)), leaf));
+      assert(utils.isEqual(utils.patch(leaf, utils.diff(leaf, empty)), empty));
+      assert.deepEqual(utils.diff(empty, new Node({type: 'brace', nodes: []})), []);
+    });
+  });
+
+  describe('.patch', function() {
+    it('should throw an error when ops is not an array', function() {
+      assert.throws(function() {
+        utils.patch(new Node({type: 'text'}));
+      }, /expected ops to be an array/);
+    });
+
+    it('should throw an error when a path does not exist', function() {
+      assert.throws(function() {
+        utils.patch(tree('brace', []), [{op: 'update', path: [3, 0], value: 'a'}]);
+      }, /expected a node at path \[3,0\]/);
+    });
+
+    it('should apply operations created by diff', function() {
+      var a = tree('brace', [['slash', '/'], ['text', 'a'], ['text', 'b'], ['star', '*']]);
+      var b = tree('brace', [['text', 'x'], ['star', '*'], ['slash', '/'], ['text', 'c']]);
+      var res = utils.patch(a, utils.diff(a, b));
+      assert.equal(res, a);
+      assert(utils.isEqual(a, b, {ignore: ['parent']}));
+      a.nodes.forEach(function(node) {
+        assert.equal(node.parent, a);
+      });
+    });
+
+    it('should apply operations to nested nodes', function() {
+      var a = tree('brace', [['text', 'a']]);
+      var b = tree('brace', [['text', 'a']]);
+      utils.pushNode(a, tree('brace', [['text', 'b']]));
+      utils.pushNode(b, tree('brace', [['text', 'c'], ['star', '*']]));
+      utils.patch(a, utils.diff(a, b));
+      assert(utils.isEqual(a, b, {ignore: ['parent']}));
+    });
+
+    it('should clone inserted nodes', function() {
+      var a = tree('brace', []);
+      var b = tree('brace', [['text', 'a']]);
+      utils.patch(a, utils.diff(a, b));
+      assert.notEqual(a.nodes[0], b.nodes[0]);
+      assert.equal(b.nodes[0].parent, b);
+    });
+
+    it('should update the "val" property of parser nodes', function() {
+      var node = new Node({type: 'text'});
+      node.val = 'a';
+      utils.patch(node, [{op: 'update', path: [], value: 'b'}]);
+      assert.equal(node.val, 'b');
+      assert.equal(node.value, undefined);
+    });
+
+    it('should return the new root node when the root is replaced', function() {
+      var b = new Node({type: 'star', value: '*'});
+      var res = utils.patch(new Node({type: 'text', value: 'a'}), utils.diff(new Node({type: 'text', value: 'a'}), b));
+      assert.equal(res.type, 'star');
+      assert.notEqual(res, b);
+    });
+  });
+
+  describe('.toJSON', function() {
+    it('should throw an error when not a node', function() {
+      assert.throws(function() {
+        utils.toJSON();
+      });
+    });
+
+    it('should convert an AST to a plain object', function() {
+      var obj = utils.toJSON(ast);
+      assert.equal(obj.type, 'root');
+      assert.equal(obj.nodes[1].type, 'text');
+      assert.equal(obj.nodes[1].val, 'a');
+      assert.equal(obj.nodes[1].parent, undefined);
+      assert.doesNotThrow(function() {
+        JSON.stringify(obj);
+      });
+    });
+
+    it('should include node.position', function() {
+      var node = new Node({type: 'text', value: 'a'});
+      node.define('position', {start: {line: 1, column: 1}, end: {line: 1, column: 2}});
+      assert.deepEqual(utils.toJSON(node).position, node.position);
+    });
+  });
+
+  describe('.fromJSON', function() {
+    it('should throw an error when Node is not a function', function() {
+      assert.throws(function() {
+        utils.fromJSON('{"type": "root"}');
+      }, /expected Node/);
+    });
+
+    it('should revive an AST from a JSON string', function() {
+      var node = utils.fromJSON(JSON.stringify(utils.toJSON(ast)), Node);
+      assert(node instanceof Node);
+      assert(node.nodes[1] instanceof Node);
+      assert.equal(node.nodes[1].parent, node);
+      assert(utils.isEqual(node, ast));
+    });
+
+    it('should revive an AST from a plain object', function() {
+      var node = utils.fromJSON({type: 'brace', nodes: [{type: 'text', value: 'a'}]}, Node);
+      assert.equal(node.nodes[0].value, 'a');
+      assert.equal(node.nodes[0].parent, node);
+    });
+
+    it('should define node.position as a non-enumerable property', function() {
+      var position = {start: {line: 1, column: 1}, end: {line: 1, column: 2}};
+      var node = utils.fromJSON({type: 'text', value: 'a', position: position}, Node);
+      assert.deepEqual(node.position, position);
+      assert.equal(Object.keys(node).indexOf('position'), -1);
+    });
+  });
+
+  describe('.inspect', function() {
+    var root;
+
+    beforeEach(function() {
+      root = tree('root', [
+        ['bos', ''],
+        tree('brace', [
+          ['brace.open', '{'],
+          ['text', 'a', {start: {line: 1, column: 2}, end: {line: 1, column: 3}}],
+          ['brace.close', '}']
+        ]),
+        ['eos', '']
+      ]);
+    });
+
+    it('should throw an error when not a node', function() {
+      assert.throws(function() {
+        utils.inspect();
+      });
+    });
+
+    it('should render an indented root', function() {
+      assert.equal(utils.inspect(root), [
+        'root',
+        '├─ bos "" (empty)',
+        '├─ brace',
+        '│  ├─ brace.open "{" [open]',
+        '│  ├─ text "a"',
+        '│  └─ brace.close "}" [close]',
+        '└─ eos "" (empty)'
+      ].join('\n'));
+    });
+
+    it('should render positions and hide values', function() {
+      var lines = utils.inspect(root, {values: false, positions: true}).split('\n');
+      assert.equal(lines[3], '│  ├─ brace.open [open]');
+      assert.equal(lines[4], '│  ├─ text 1:2-1:3');
+    });
+
+    it('should only render nodes up to options.maxDepth', function() {
+      assert.equal(utils.inspect(root, {maxDepth: 1}), [
+        'root',
+        '├─ bos "" (empty)',
+        '├─ brace [3 nodes]',
+        '└─ eos "" (empty)'
+      ].join('\n'));
+    });
+  });
+
   describe('.addOpen', function() {
     it('should throw an error when not a node', function() {
       assert.throws(function() {
@@ -605,6 +2080,221 @@ describe('snapdragon-node', function() {
     });
   });
 
+  describe('positions', function() {
+    function position(startLine, startColumn, endLine, endColumn) {
+      return {
+        start: {line: startLine, column: startColumn},
+        end: {line: endLine, column: endColumn}
+      };
+    }
+
+    it('should derive the position of open and close nodes from the parent', function() {
+      var brace = new Node({type: 'brace'});
+      brace.define('position', position(1, 1, 1, 6));
+      var open = utils.addOpen(brace, Node, '{');
+      var close = utils.addClose(brace, Node, '}');
+      assert.deepEqual(open.position, position(1, 1, 1, 2));
+      assert.deepEqual(close.position, position(1, 5, 1, 6));
+    });
+
+    it('should derive the position of open and close nodes from child nodes', function() {
+      var brace = new Node({type: 'brace'});
+      var text = new Node({type: 'text', value: 'a'});
+      text.define('position', {start: {line: 2, column: 3, offset: 5}, end: {line: 2, column: 4, offset: 6}});
+      utils.pushNode(brace, text);
+      utils.wrapNodes(brace, Node);
+      assert.deepEqual(brace.nodes[0].position.start, {line: 2, column: 3, offset: 5});
+      assert.deepEqual(brace.nodes[0].position.end, {line: 2, column: 3, offset: 5});
+      assert.deepEqual(brace.nodes[2].position.start, {line: 2, column: 4, offset: 6});
+    });
+
+    it('should position close nodes after the last child of a parsed block', function() {
+      var parser = new Parser({Node: Node})
+        .set('brace.open', function() {
+          var pos = this.position();
+          var match = this.match(/^\{/);
+          if (match) {
+            var brace = pos(this.node({type: 'brace', nodes: []}));
+            utils.addOpen(brace, Node, match[0]);
+            this.push('brace', brace);
+            return brace;
+          }
+        })
+        .set('brace.close', function() {
+          var match = this.match(/^\}/);
+          if (match) {
+            utils.addClose(this.pop('brace'), Node, match[0]);
+          }
+        })
+        .set('text', function() {
+          var pos = this.position();
+          var match = this.match(/^[a-z]+/);
+          if (match) {
+            return pos(this.node(match[0]));
+          }
+        });
+
+      var brace = utils.findNode(parser.parse('{abc}').nodes, 'brace');
+      assert.deepEqual(brace.nodes[0].position, position(1, 1, 1, 2));
+      assert.deepEqual(brace.nodes[1].position, position(1, 2, 1, 5));
+      assert.equal(brace.nodes[2].value, '}');
+      assert.deepEqual(brace.nodes[2].position, position(1, 5, 1, 6));
+    });
+
+    it('should not add a position when none can be derived', function() {
+      var brace = new Node({type: 'brace'});
+      assert.equal(utils.addOpen(brace, Node).position, undefined);
+    });
+
+    it('should derive the position of inserted nodes from siblings', function() {
+      var parent = new Node({type: 'root'});
+      var text = new Node({type: 'text', value: 'abc'});
+      text.define('position', position(1, 2, 1, 5));
+      utils.pushNode(parent, text);
+
+      var before = utils.insertBefore(parent, new Node({type: 'before'}), text);
+      var after = utils.insertAfter(parent, new Node({type: 'after'}), text);
+      var spliced = new Node({type: 'spliced'});
+      utils.spliceNodes(parent, 3, 0, spliced);
+      assert.deepEqual(before.position, position(1, 2, 1, 2));
+      assert.deepEqual(after.position, position(1, 5, 1, 5));
+      assert.deepEqual(spliced.position, position(1, 5, 1, 5));
+
+      var replacement = utils.replaceNode(parent, text, new Node({type: 'text', value: 'x'}));
+      assert.deepEqual(replacement.position, position(1, 2, 1, 5));
+    });
+
+    describe('.getRange', function() {
+      it('should throw an error when not a node', function() {
+        assert.throws(function() {
+          utils.getRange();
+        });
+      });
+
+      it('should return null when no nodes have a position', function() {
+        assert.equal(utils.getRange(new Node({type: 'brace'})), null);
+      });
+
+      it('should get the range covered by a node and its child nodes', function() {
+        var brace = new Node({type: 'brace'});
+        var a = new Node({type: 'text', value: 'a'});
+        var b = new Node({type: 'text', value: 'b'});
+        a.define('position', position(1, 4, 1, 5));
+        b.define('position', position(2, 1, 2, 3));
+        utils.pushNode(brace, a);
+        utils.pushNode(brace, b);
+        assert.deepEqual(utils.getRange(brace), position(1, 4, 2, 3));
+      });
+
+      it('should get the range of nodes created by the parser', function() {
+        var parser = new Parser({Node: Node})
+          .set('text', function() {
+            var pos = this.position();
+            var match = this.match(/^[a-z]+/);
+            if (match) {
+              return pos(this.node(match[0]));
+            }
+          });
+
+        var res = parser.parse('abc');
+        assert.deepEqual(utils.getRange(res), position(1, 1, 1, 4));
+      });
+    });
+
+    describe('.nodeAt', function() {
+      var tree;
+      var brace;
+      var text;
+
+      function point(line, column, offset) {
+        return {line: line, column: column, offset: offset};
+      }
+
+      beforeEach(function() {
+        // "x{ab}"
+        tree = new Node({type: 'root'});
+        brace = new Node({type: 'brace'});
+        text = new Node({type: 'text', value: 'ab'});
+        tree.define('position', {start: point(1, 1, 0), end: point(1, 6, 5)});
+        brace.define('position', {start: point(1, 2, 1), end: point(1, 6, 5)});
+        text.define('position', {start: point(1, 3, 2), end: point(1, 5, 4)});
+        var x = new Node({type: 'text', value: 'x'});
+        x.define('position', {start: point(1, 1, 0), end: point(1, 2, 1)});
+        utils.pushNode(tree, x);
+        utils.pushNode(tree, brace);
+        utils.pushNode(brace, text);
+      });
+
+      it('should throw an error when offset is not a number', function() {
+        assert.throws(function() {
+          utils.nodeAt(tree);
+        });
+      });
+
+      it('should return the deepest node at the given offset', function() {
+        var res = utils.nodeAt(tree, 3);
+        assert.equal(res.node, text);
+        assert.deepEqual(res.ancestors, [tree, brace]);
+        assert.equal(utils.nodeAt(tree, 0).node, tree.nodes[0]);
+        assert.equal(utils.nodeAt(tree, 4).node, brace);
+      });
+
+      it('should index deeply nested nodes', function() {
+        var root = new Node({type: 'root'});
+        var node = root;
+        root.define('position', {start: point(1, 1, 0), end: point(1, 1, 10000)});
+        for (var i = 1; i < 5000; i++) {
+          var child = new Node({type: 'brace'});
+          child.define('position', {start: point(1, 1, i), end: point(1, 1, 10000 - i)});
+          utils.pushNode(node, child);
+          node = child;
+        }
+        var res = utils.nodeAt(root, 5000);
+        assert.equal(res.node, node);
+        assert.equal(res.ancestors.length, 4999);
+        assert.equal(res.ancestors[0], root);
+        assert.equal(res.ancestors[4998], node.parent);
+      });
+
+      it('should return null when no node contains the offset', function() {
+        assert.equal(utils.nodeAt(tree, 5), null);
+        assert.equal(utils.nodeAt(new Node({type: 'foo'}), 0), null);
+      });
+
+      it('should return the node at the given line and column', function() {
+        var res = utils.nodeAtPosition(tree, {line: 1, column: 4});
+        assert.equal(res.node, text);
+        assert.deepEqual(res.ancestors, [tree, brace]);
+        assert.equal(utils.nodeAtPosition(tree, {line: 2, column: 1}), null);
+      });
+
+      it('should throw an error when positions from the parser have no offsets', function() {
+        var parser = new Parser({Node: Node})
+          .set('text', function() {
+            var pos = this.position();
+            var match = this.match(/^[a-z]+/);
+            if (match) {
+              return pos(this.node(match[0]));
+            }
+          });
+
+        var ast = parser.parse('abc');
+        assert.throws(function() {
+          utils.nodeAt(ast, 1);
+        }, /expected node positions to have offsets/);
+        assert.equal(utils.nodeAtPosition(ast, {line: 1, column: 2}).node, ast.nodes[1]);
+      });
+
+      it('should use the cached index until it is cleared', function() {
+        assert.equal(utils.nodeAt(tree, 2).node, text);
+        utils.removeNode(brace, text);
+        assert.equal(utils.nodeAt(tree, 2).node, text);
+        utils.clearNodeIndex(tree);
+        assert.equal(utils.nodeAt(tree, 2).node, brace);
+      });
+    });
+  });
+
   describe('.isEmpty', function() {
     it('should throw an error when not a node', function() {
       assert.throws(function() {
@@ -743,6 +2433,86 @@ describe('snapdragon-node', function() {
       assert(utils.isType(ast, 'root'));
       assert(utils.isType(ast.last, 'eos'));
     });
+
+    it('should use the current contents of array specs', function() {
+      var types = ['bos'];
+      assert(!utils.isType(ast.last, types));
+      types.push('eos');
+      assert(utils.isType(ast.last, types));
+    });
+  });
+
+  describe('.matcher', function() {
+    var brace, text;
+
+    beforeEach(function() {
+      brace = new Node({type: 'brace'});
+      text = new Node({type: 'text', value: 'abc'});
+      utils.pushNode(brace, text);
+    });
+
+    it('should throw an error when the spec is invalid', function() {
+      assert.throws(function() {
+        utils.matcher(null);
+      }, TypeError);
+      assert.throws(function() {
+        utils.matcher({typ: 'text'});
+      }, /expected matcher property "typ" to be one of/);
+      assert.throws(function() {
+        utils.matcher({value: 1});
+      }, TypeError);
+      assert.throws(function() {
+        utils.matcher({or: 'text'});
+      }, TypeError);
+    });
+
+    it('should match strings, regexes, arrays and functions', function() {
+      assert(utils.matcher('text')(text));
+      assert(utils.matcher(/^te/)(text));
+      assert(utils.matcher(['foo', /^b/])(brace));
+      assert(utils.matcher(node => node.value === 'abc')(text));
+      assert(!utils.matcher(node => node.value === 'xyz')(text));
+      assert(!utils.matcher(() => true)({type: 'text'}));
+    });
+
+    it('should match spec objects', function() {
+      assert(utils.matcher({type: 'text', value: 'abc'})(text));
+      assert(utils.matcher({value: /^a/, parent: 'brace'})(text));
+      assert(utils.matcher({value: val => val.length === 3})(text));
+      assert(!utils.matcher({type: 'text', parent: 'paren'})(text));
+      assert(!utils.matcher({parent: 'brace'})(brace));
+      assert(utils.matcher({not: 'brace'})(text));
+      assert(!utils.matcher({not: {parent: {type: 'brace'}}})(text));
+      assert(utils.matcher({and: ['text', {value: 'abc'}]})(text));
+      assert(!utils.matcher({and: ['text', {value: 'xyz'}]})(text));
+      assert(utils.matcher({or: ['brace', {value: 'abc'}]})(text));
+      assert(!utils.matcher({or: []})(text));
+      assert(utils.matcher({})(text));
+    });
+
+    it('should be accepted by methods that take a type', function() {
+      var spec = {type: 'text', value: 'abc'};
+      assert(utils.isType(text, spec));
+      assert(utils.hasType(brace, spec));
+      assert(!utils.hasType(brace, {not: spec}));
+      assert.equal(utils.firstOfType(brace.nodes, spec), text);
+      assert.equal(utils.findNode(brace.nodes, node => node.type === 'text'), text);
+      assert.equal(utils.closest(text, {not: 'text'}), brace);
+    });
+
+    it('should match scopes with isInside, isInsideType and isInsideSequence', function() {
+      var state = {};
+      var node = new Node({type: 'text'});
+      var paren = new Node({type: 'paren', value: '('});
+      utils.enterScope(state, brace);
+      utils.enterScope(state, paren);
+      assert(utils.isInside(state, node, {type: 'paren', value: '('}));
+      assert(!utils.isInside(state, node, {type: 'paren', value: '['}));
+      assert(utils.isInside(state, text, node => node.type === 'brace'));
+      assert(utils.isInsideType(state, {or: ['bracket', 'paren']}));
+      assert(utils.isInsideSequence(state, [/^br/, {value: '('}]));
+      assert(!utils.isInsideSequence(state, [{value: '('}, 'brace']));
+    });
   });
 
   describe('.isInsideType', function() {
@@ -858,6 +2628,15 @@ describe('snapdragon-node', function() {
       assert(utils.isInside(state, node, /(foo|brace)/));
     });
 
+    it('should match parent.type when the parent is not a node', function() {
+      var state = { inside: {}};
+      var node = new Node({type: 'text'});
+      node.define('parent', {type: 'brace'});
+      assert(utils.isInside(state, node, 'brace'));
+      assert(utils.isInside(state, node, /brace/));
+      assert(utils.isInside(state, node, ['foo', /brace/]));
+    });
+
     it('should return false when a regex does not match a type', function() {
       var state = { inside: {}};
       var node = new Node({type: 'brace'});
@@ -908,12 +2687,145 @@ describe('snapdragon-node', function() {
     });
   });
 
+  describe('.findAll', function() {
+    var root;
+
+    beforeEach(function() {
+      root = tree('root', [['text', 'a'], tree('brace', [['text', 'b']]), ['text', 'c']]);
+    });
+
+    it('should throw an error when the type is invalid', function() {
+      assert.throws(function() {
+        utils.findAll(ast.nodes);
+      }, TypeError);
+    });
+
+    it('should get all nodes of the given type', function() {
+      assert.deepEqual(utils.findAll(root.nodes, 'text').map(utils.value), ['a', 'c']);
+      assert.deepEqual(utils.findAll(ast.nodes, ['slash', 'star']).map(n => n.type), ['slash', 'star', 'slash']);
+      assert.deepEqual(utils.findAll(null, 'text'), []);
+    });
+
+    it('should get matching descendants with options.deep', function() {
+      var nodes = utils.findAll(root.nodes, {type: 'text', not: {value: 'a'}}, {deep: true});
+      assert.deepEqual(nodes.map(utils.value), ['b', 'c']);
+    });
+
+    describe('.lastOfType', function() {
+      it('should get the last node of the given type', function() {
+        assert.equal(utils.value(utils.lastOfType(root.nodes, 'text')), 'c');
+        assert.equal(utils.lastOfType(root.nodes, 'star'), undefined);
+      });
+
+      it('should get the last matching descendant with options.deep', function() {
+        assert.equal(utils.lastOfType(root.nodes, {value: /^[ab]$/}), root.nodes[0]);
+        assert.equal(utils.value(utils.lastOfType(root.nodes, {value: /^[ab]$/}, {deep: true})), 'b');
+      });
+    });
+
+    describe('.countType', function() {
+      it('should throw an error when not a node', function() {
+        assert.throws(function() {
+          utils.countType(null, 'text');
+        });
+      });
+
+      it('should count the child nodes of the given type', function() {
+        assert.equal(utils.countType(ast, 'slash'), 2);
+        assert.equal(utils.countType(root, 'text'), 2);
+        assert.equal(utils.countType(root.nodes[0], 'text'), 0);
+      });
+
+      it('should count matching descendants with options.deep', function() {
+        assert.equal(utils.countType(root, 'text', {deep: true}), 3);
+        assert.equal(utils.countType(root, /^(text|brace)$/, {deep: true}), 4);
+      });
+    });
+  });
+
   describe('.last', function() {
     it('should get the last node', function() {
       assert.equal(utils.last(ast.nodes).type, 'eos');
     });
   });
 
+  describe('navigation', function() {
+    var root, brace, open, text, close;
+
+    beforeEach(function() {
+      brace = tree('brace', [['brace.open', '{'], ['text', 'a'], ['brace.close', '}']]);
+      root = tree('root', [brace]);
+      open = brace.nodes[0];
+      text = brace.nodes[1];
+      close = brace.nodes[2];
+    });
+
+    describe('.firstNode', function() {
+      it('should get the first child node', function() {
+        assert.equal(utils.firstNode(brace), open);
+        assert.equal(utils.firstNode(text), null);
+      });
+    });
+
+    describe('.ancestors', function() {
+      it('should throw an error when not a node', function() {
+        assert.throws(function() {
+          utils.ancestors();
+        });
+      });
+
+      it('should get the ancestors of a node', function() {
+        assert.deepEqual(utils.ancestors(text), [brace, root]);
+        assert.deepEqual(utils.ancestors(root), []);
+      });
+    });
+
+    describe('.closest', function() {
+      it('should get the nearest ancestor with the given type', function() {
+        assert.equal(utils.closest(text, 'root'), root);
+        assert.equal(utils.closest(text, /^(brace|root)$/), brace);
+        assert.equal(utils.closest(brace, 'brace'), null);
+      });
+    });
+
+    describe('.depth', function() {
+      it('should get the number of ancestors', function() {
+        assert.equal(utils.depth(root), 0);
+        assert.equal(utils.depth(text), 2);
+      });
+    });
+
+    describe('.siblings', function() {
+      it('should get the nodes of the parent', function() {
+        assert.equal(utils.siblings(text), brace.nodes);
+        assert.equal(utils.siblings(root), null);
+      });
+    });
+
+    describe('.indexOf', function() {
+      it('should get the index of a node', function() {
+        assert.equal(utils.indexOf(text), 1);
+        assert.equal(utils.indexOf(root), -1);
+      });
+    });
+
+    describe('.prev', function() {
+      it('should get the previous sibling', function() {
+        assert.equal(utils.prev(text), open);
+        assert.equal(utils.prev(open), null);
+        assert.equal(utils.prev(root), null);
+      });
+    });
+
+    describe('.next', function() {
+      it('should get the next sibling', function() {
+        assert.equal(utils.next(text), close);
+        assert.equal(utils.next(close), null);
+        assert.equal(utils.next(root), null);
+      });
+    });
+  });
+
   describe('.findNode', function() {
     it('should get the node with the given type', function() {
       var text = utils.findNode(ast.nodes, 'text');
@@ -946,6 +2858,259 @@ describe('snapdragon-node', function() {
     });
   });
 
+  describe('.query', function() {
+    var root;
+
+    beforeEach(function() {
+      root = tree('root', [
+        ['text', 'x'],
+        tree('brace', [
+          ['brace.open', '{'],
+          ['text', 'a'],
+          ['comma', ','],
+          tree('brace', [['brace.open', ''], ['brace.close', '']]),
+          ['brace.close', '}']
+        ])
+      ]);
+    });
+
+    it('should throw an error when selector is invalid', function() {
+      assert.throws(function() {
+        utils.query(root, '');
+      });
+      assert.throws(function() {
+        utils.query(root, 'brace >');
+      }, SyntaxError);
+      assert.throws(function() {
+        utils.query(root, 'brace:foo');
+      }, /unsupported pseudo-class/);
+    });
+
+    it('should return the first node of the given type', function() {
+      assert.equal(utils.query(root, 'text').value, 'x');
+      assert.equal(utils.query(root, 'brace.open').value, '{');
+      assert.equal(utils.query(root, 'star'), undefined);
+    });
+
+    it('should match the given node', function() {
+      assert.equal(utils.query(root, 'root'), root);
+    });
+
+    it('should support child and descendant combinators', function() {
+      assert.equal(utils.query(root, 'brace > text').value, 'a');
+      assert.equal(utils.query(root, 'root brace brace.open').parent, root.nodes[1]);
+      assert.equal(utils.query(root, 'brace brace > brace.open').parent, root.nodes[1].nodes[3]);
+    });
+
+    it('should support sibling combinators', function() {
+      assert.equal(utils.query(root, 'text + comma').value, ',');
+      assert.equal(utils.query(root, 'brace.open ~ brace').type, 'brace');
+      assert.equal(utils.query(root, 'comma + text'), undefined);
+    });
+
+    it('should support pseudo-classes', function() {
+      assert.equal(utils.query(root, 'brace > text:first-of-type').value, 'a');
+      assert.equal(utils.query(root, 'brace > brace.open:last-of-type').value, '{');
+      assert.equal(utils.query(root, 'root > brace:first-of-type'), root.nodes[1]);
+      assert.equal(utils.query(root, 'root > text:first').value, 'x');
+      assert.equal(utils.query(root, 'brace > :last').type, 'brace.close');
+      assert.equal(utils.query(root, 'brace:empty'), root.nodes[1].nodes[3]);
+      assert.equal(utils.query(root, 'brace:block:not(:empty)'), root.nodes[1]);
+      assert.equal(utils.query(root, ':has(comma)'), root);
+      assert.equal(utils.query(root, 'brace:has(brace)'), root.nodes[1]);
+    });
+
+    it('should support attribute predicates on value', function() {
+      assert.equal(utils.query(root, '[value="a"]').type, 'text');
+      assert.equal(utils.query(root, 'text[value!=x]').value, 'a');
+      assert.equal(utils.query(root, '[value^="}"]').type, 'brace.close');
+      assert.equal(utils.query(root, 'brace[value]'), undefined);
+    });
+  });
+
+  describe('.queryAll', function() {
+    it('should return all matching nodes', function() {
+      assert.deepEqual(utils.queryAll(ast, 'slash').map(node => node.type), ['slash', 'slash']);
+      assert.deepEqual(utils.queryAll(ast, 'slash + star, bos').map(node => node.type), ['bos', 'star']);
+    });
+
+    it('should return an empty array when no nodes match', function() {
+      assert.deepEqual(utils.queryAll(ast, 'brace'), []);
+    });
+  });
+
+  describe('.rewrite', function() {
+    var mergeText = {
+      type: 'text',
+      match: function(node, path) {
+        return utils.isType(path.parent.nodes[path.index + 1], 'text');
+      },
+      replace: function(node, path) {
+        var next = path.parent.nodes[path.index + 1];
+        node.value += next.value;
+        utils.removeNode(path.parent, next);
+        return node;
+      }
+    };
+
+    it('should throw an error when a rule does not have a replace function', function() {
+      assert.throws(function() {
+        utils.rewrite(tree('brace', []), [{type: 'text'}]);
+      }, /expected rewrite rules to have a "replace" function/);
+    });
+
+    it('should apply rules until no more rules match', function() {
+      var node = tree('brace', [['text', 'a'], ['text', 'b'], ['star', '*'], ['text', 'c'], ['text', 'd'], ['text', 'e']]);
+      utils.rewrite(node, mergeText);
+      assert.deepEqual(node.nodes.map(utils.value), ['ab', '*', 'cde']);
+    });
+
+    it('should apply rules when match returns a truthy value', function() {
+      var node = tree('brace', [['text', 'a'], ['star', '*']]);
+      utils.rewrite(node, {
+        match: function(node) {
+          return node.value === '*' && node;
+        },
+        replace: function() {
+          return new Node({type: 'qmark', value: '?'});
+        }
+      });
+      assert.deepEqual(node.nodes.map(n => n.type), ['text', 'qmark']);
+    });
+
+    it('should match nodes by selector', function() {
+      var node = tree('brace', [['slash', '/'], ['star', '*'], ['star', '*']]);
+      utils.rewrite(node, {
+        selector: 'slash + star',
+        replace: function() {
+          return new Node({type: 'globstar', value: '**'});
+        }
+      });
+      assert.deepEqual(node.nodes.map(utils.value), ['/', '**', '*']);
+    });
+
+    it('should remove nodes or replace them with multiple nodes', function() {
+      var node = tree('brace', [['text', 'a'], ['star', '*'], ['qmark', '?']]);
+      utils.rewrite(node, [
+        {
+          type: 'star',
+          replace: function() {
+            return null;
+          }
+        },
+        {
+          type: 'qmark',
+          replace: function() {
+            return [new Node({type: 'dot', value: '.'}), new Node({type: 'dot', value: '.'})];
+          }
+        }
+      ]);
+      assert.deepEqual(node.nodes.map(utils.value), ['a', '.', '.']);
+      assert.equal(node.nodes[1].parent, node);
+    });
+
+    it('should return the replacement of the root node', function() {
+      var node = tree('brace', [['text', 'a']]);
+      var res = utils.rewrite(node, {
+        type: 'brace',
+        replace: function(node) {
+          return node.nodes[0];
+        }
+      });
+      assert.equal(res.type, 'text');
+    });
+
+    it('should stop when no rule returns a value', function() {
+      var count = 0;
+      utils.rewrite(tree('brace', [['text', 'a']]), {
+        type: 'text',
+        replace: function(node) {
+          count++;
+        }
+      });
+      assert.equal(count, 1);
+    });
+
+    it('should apply rules again after nodes are modified in place', function() {
+      var node = tree('brace', [['text', 'a']]);
+      utils.rewrite(node, [
+        {
+          type: 'text',
+          match: function(node) {
+            return !node.escaped;
+          },
+          replace: function(node) {
+            node.escaped = true;
+            return node;
+          }
+        },
+        {
+          type: 'text',
+          match: function(node) {
+            return node.escaped && node.value === 'a';
+          },
+          replace: function(node) {
+            node.value = 'b';
+            return node;
+          }
+        }
+      ]);
+      assert.equal(node.nodes[0].value, 'b');
+      assert.equal(node.nodes[0].escaped, true);
+    });
+
+    it('should throw an error when a rule returns a node without changing it', function() {
+      assert.throws(function() {
+        utils.rewrite(tree('brace', [['text', 'a']]), {
+          type: 'text',
+          replace: function(node) {
+            return node;
+          }
+        });
+      }, /cycle was detected/);
+    });
+
+    it('should rewrite deeply nested trees', function() {
+      var root = new Node({type: 'root'});
+      var node = root;
+      for (var i = 0; i < 20000; i++) {
+        var child = new Node({type: 'brace'});
+        utils.pushNode(node, child);
+        node = child;
+      }
+      utils.pushNode(node, new Node({type: 'star', value: '*'}));
+      utils.rewrite(root, {
+        type: 'star',
+        replace: function() {
+          return new Node({type: 'qmark', value: '?'});
+        }
+      });
+      assert.equal(node.nodes[0].type, 'qmark');
+    });
+
+    it('should throw an error when a cycle is detected', function() {
+      assert.throws(function() {
+        utils.rewrite(tree('brace', [['text', 'a']]), {
+          type: 'text',
+          replace: function(node) {
+            return new Node({type: 'text', value: node.value === 'a' ? 'b' : 'a'});
+          }
+        });
+      }, /cycle was detected/);
+    });
+
+    it('should throw an error after options.maxIterations', function() {
+      assert.throws(function() {
+        utils.rewrite(tree('brace', [['text', 'a']]), {
+          type: 'text',
+          replace: function(node) {
+            return new Node({type: 'text', value: node.value + 'a'});
+          }
+        }, {maxIterations: 5});
+      }, /converge within 5 iterations/);
+    });
+  });
+
   describe('.removeNode', function() {
     it('should throw an error when parent is not a node', function() {
       assert.throws(function() {
@@ -1084,6 +3249,75 @@ describe('snapdragon-node', function() {
     });
   });
 
+  describe('.validate', function() {
+    var brace;
+
+    beforeEach(function() {
+      brace = tree('brace', [['brace.open', '{'], ['text', 'a'], ['brace.close', '}']]);
+    });
+
+    function codes(node) {
+      return utils.validate(node).map(diagnostic => diagnostic.code);
+    }
+
+    it('should throw an error when not a node', function() {
+      assert.throws(function() {
+        utils.validate();
+      });
+    });
+
+    it('should return an empty array when the tree is valid', function() {
+      assert.deepEqual(utils.validate(brace), []);
+    });
+
+    it('should report blocks with a missing close node', function() {
+      utils.popNode(brace);
+      var diagnostics = utils.validate(brace);
+      assert.equal(diagnostics.length, 1);
+      assert.equal(diagnostics[0].code, 'missing-close');
+      assert.equal(diagnostics[0].node, brace);
+      assert.equal(diagnostics[0].message, 'expected "brace" to have a "brace.close" node');
+    });
+
+    it('should report blocks with a missing open node', function() {
+      utils.shiftNode(brace);
+      assert.deepEqual(codes(brace), ['missing-open']);
+    });
+
+    it('should report open and close nodes in the middle of node.nodes', function() {
+      var open = new Node({type: 'brace.open', value: '{'});
+      var close = new Node({type: 'brace.close', value: '}'});
+      utils.insertAfter(brace, open, brace.nodes[1]);
+      utils.insertBefore(brace, close, brace.nodes[1]);
+      assert.deepEqual(codes(brace), ['stray-close', 'stray-open']);
+    });
+
+    it('should report nodes whose parent does not point to the parent node', function() {
+      brace.nodes.splice(1, 0, new Node({type: 'text', value: 'b'}));
+      assert.deepEqual(codes(brace), ['invalid-parent']);
+    });
+
+    it('should report nodes that exist more than once in the tree', function() {
+      brace.nodes.splice(1, 0, brace.nodes[1]);
+      assert.deepEqual(codes(brace), ['duplicate-node']);
+    });
+
+    it('should not recurse into circular references', function() {
+      brace.nodes.splice(1, 0, brace);
+      assert.deepEqual(codes(brace), ['duplicate-node']);
+    });
+
+    it('should report values that are not strings', function() {
+      brace.nodes[1].value = 1;
+      assert.deepEqual(codes(brace), ['invalid-value']);
+    });
+
+    it('should report values in node.nodes that are not nodes', function() {
+      brace.nodes.splice(1, 0, {type: 'text'});
+      assert.deepEqual(codes(brace), ['invalid-node']);
+    });
+  });
+
   describe('.pushNode', function() {
     it('should throw an error when parent is not a node', function() {
       assert.throws(function() {
@@ -1222,4 +3456,208 @@ describe('snapdragon-node', function() {
       utils.removeType(state, node);
     });
   });
+
+  describe('scopes', function() {
+    var bracket;
+    var brace;
+
+    beforeEach(function() {
+      brace = tree('brace', [['brace.open'], ['brace.close']]);
+      bracket = tree('bracket', [['bracket.open'], brace, ['bracket.close']]);
+    });
+
+    describe('.enterScope', function() {
+      it('should throw an error when state is not given', function() {
+        assert.throws(function() {
+          utils.enterScope(null, brace);
+        });
+      });
+
+      it('should push a scope onto state.scopes', function() {
+        var state = {};
+        var scope = utils.enterScope(state, brace);
+        assert.deepEqual(state.scopes, [scope]);
+        assert.equal(scope.type, 'brace');
+        assert.equal(scope.node, brace);
+      });
+
+      it('should use the parent of open nodes', function() {
+        var state = {};
+        var scope = utils.enterScope(state, brace.nodes[0]);
+        assert.equal(scope.type, 'brace');
+        assert.equal(scope.node, brace);
+      });
+
+      it('should keep state.inside in sync', function() {
+        var state = {};
+        utils.enterScope(state, bracket.nodes[0]);
+        utils.enterScope(state, brace.nodes[0]);
+        assert.deepEqual(state.inside.bracket, [bracket]);
+        assert.deepEqual(state.inside.brace, [brace]);
+        assert(utils.isInsideType(state, 'brace'));
+      });
+    });
+
+    describe('.exitScope', function() {
+      it('should remove the innermost scope', function() {
+        var state = {};
+        utils.enterScope(state, bracket);
+        utils.enterScope(state, brace);
+        assert.equal(utils.exitScope(state).node, brace);
+        assert.equal(state.scopes.length, 1);
+        assert.equal(state.inside.brace.length, 0);
+        assert(!utils.isInsideType(state, 'brace'));
+      });
+
+      it('should remove the innermost scope for the given close node', function() {
+        var state = {};
+        utils.enterScope(state, bracket);
+        utils.enterScope(state, brace);
+        assert.equal(utils.exitScope(state, bracket.nodes[2]).node, bracket);
+        assert.deepEqual(utils.scopeChain(state).map(scope => scope.type), ['brace']);
+        assert.equal(state.inside.bracket.length, 0);
+      });
+
+      it('should return undefined when no scope exists', function() {
+        assert.equal(utils.exitScope({}), undefined);
+        assert.equal(utils.exitScope({scopes: []}, brace), undefined);
+      });
+    });
+
+    describe('.currentScope', function() {
+      it('should return the innermost scope', function() {
+        var state = {};
+        assert.equal(utils.currentScope(state), null);
+        utils.enterScope(state, bracket);
+        utils.enterScope(state, brace);
+        assert.equal(utils.currentScope(state).type, 'brace');
+      });
+    });
+
+    describe('.scopeChain', function() {
+      it('should return scopes from outermost to innermost', function() {
+        var state = {};
+        assert.deepEqual(utils.scopeChain(state), []);
+        utils.enterScope(state, bracket);
+        utils.enterScope(state, brace);
+        var chain = utils.scopeChain(state);
+        assert.deepEqual(chain.map(scope => scope.node), [bracket, brace]);
+        chain.pop();
+        assert.equal(state.scopes.length, 2);
+      });
+    });
+
+    describe('.isInsideSequence', function() {
+      it('should throw an error when types is not an array', function() {
+        assert.throws(function() {
+          utils.isInsideSequence({}, 'brace');
+        });
+      });
+
+      it('should return true when scopes are nested in the given order', function() {
+        var state = {};
+        utils.enterScope(state, new Node({type: 'paren'}));
+        utils.enterScope(state, bracket);
+        utils.enterScope(state, brace);
+        assert(utils.isInsideSequence(state, ['bracket', 'brace']));
+        assert(utils.isInsideSequence(state, ['paren', /^brack/]));
+        assert(!utils.isInsideSequence(state, ['brace', 'bracket']));
+        assert(!utils.isInsideSequence(state, ['paren', 'brace']));
+      });
+    });
+  });
+
+  describe('.trackScopes', function() {
+    function block(type, nodes) {
+      var node = new Node({type: type});
+      utils.pushNode(node, new Node({type: type + '.open', value: ''}));
+      nodes.forEach(child => utils.pushNode(node, child));
+      utils.pushNode(node, new Node({type: type + '.close', value: ''}));
+      return node;
+    }
+
+    function compiler() {
+      return new Compiler()
+        .set('root', function(node) {
+          this.mapVisit(node);
+        })
+        .set('brace', function(node) {
+          this.mapVisit(node);
+        })
+        .set('bracket', function(node) {
+          this.mapVisit(node);
+        })
+        .set('brace.open', utils.noop)
+        .set('brace.close', utils.noop)
+        .set('bracket.open', utils.noop)
+        .set('bracket.close', utils.noop);
+    }
+
+    it('should throw an error when not used on a compiler or parser', function() {
+      assert.throws(function() {
+        utils.trackScopes()({});
+      }, /expected a snapdragon compiler or parser/);
+    });
+
+    it('should enter and exit scopes for open and close nodes', function() {
+      var seen = [];
+      var text = new Node({type: 'text', value: 'a'});
+      var root = new Node({type: 'root', nodes: []});
+      utils.pushNode(root, block('bracket', [block('brace', [text])]));
+
+      var res = compiler()
+        .use(utils.trackScopes())
+        .set('text', function(node) {
+          seen.push(utils.scopeChain(this.state).map(scope => scope.type));
+          assert(utils.isInsideSequence(this.state, ['bracket', 'brace']));
+          assert.equal(this.state.inside.brace.length, 1);
+          assert.equal(this.state.inside.bracket.length, 1);
+          this.emit(node.value, node);
+        })
+        .compile(root);
+
+      assert.equal(res.output, 'a');
+      assert.deepEqual(seen, [['bracket', 'brace']]);
+      assert.deepEqual(res.state.scopes, []);
+      assert.deepEqual(res.state.inside, {brace: [], bracket: []});
+    });
+
+    it('should throw an error on mismatched close nodes', function() {
+      var brace = block('brace', []);
+      var root = new Node({type: 'root', nodes: []});
+      brace.nodes[1] = new Node({type: 'bracket.close', value: ''});
+      utils.pushNode(root, brace);
+
+      assert.throws(function() {
+        compiler().use(utils.trackScopes()).compile(root);
+      }, /unexpected "bracket.close", expected "brace.close"/);
+    });
+
+    it('should track scopes for nodes returned by parsers', function() {
+      var scopes = [];
+      var parser = new Parser({Node: Node})
+        .use(utils.trackScopes())
+        .set('open', function() {
+          if (this.match(/^\{/)) {
+            return this.node('{', 'brace.open');
+          }
+        })
+        .set('close', function() {
+          if (this.match(/^\}/)) {
+            return this.node('}', 'brace.close');
+          }
+        })
+        .set('text', function() {
+          var match = this.match(/^[a-z]+/);
+          if (match) {
+            scopes.push(utils.currentScope(this.state).type);
+            return this.node(match[0], 'text');
+          }
+        });
+
+      parser.parse('{a}');
+      assert.deepEqual(scopes, ['brace']);
+      assert.deepEqual(parser.state.scopes, []);
+    });
+  });
 });